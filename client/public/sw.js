@@ -0,0 +1,32 @@
+// Shows the Web Push notifications the server sends while the app has no live
+// connection, and brings the app to the right chat when one is clicked
+self.addEventListener("push", (event) => {
+  const payload = event.data ? event.data.json() : {};
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || "AlgoChat", {
+      body: payload.body || "New message",
+      icon: payload.icon || "/avatar.png",
+      tag: payload.tag, // one notification per chat, replaced by newer messages
+      data: payload.data,
+    })
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const chatId = event.notification.data?.chatId;
+
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      const client = windows[0];
+      if (client) {
+        await client.focus();
+        if (chatId) client.postMessage({ type: "openChat", chatId });
+        return;
+      }
+      await self.clients.openWindow(chatId ? `/?chat=${chatId}` : "/");
+    })()
+  );
+});
@@ -4,7 +4,9 @@ import SignUpPage from "./pages/SignupPage";
 import SettingsPage from "./pages/SettingsPage";
 import ProfilePage from "./pages/ProfilePage";
 import MediaPage from "./pages/MediaPage";
+import StarredPage from "./pages/StarredPage";
 import AuthSync from "./components/AuthSync";
+import MessageNotifications from "./components/MessageNotifications";
 import { Routes, Route, Navigate } from "react-router-dom";
 import { useAuthStore } from "./store/useAuthStore";
 import { useThemeStore } from "./store/useThemeStore";
@@ -30,6 +32,7 @@ const App = () => {
   return (
     <div data-theme={theme} className="h-screen">
       <AuthSync />
+      {authUser && <MessageNotifications />}
       <Routes future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
         <Route
           path="/"
@@ -91,6 +94,16 @@ const App = () => {
             )
           }
         />
+        <Route
+          path="/starred"
+          element={
+            authUser && !profileIncomplete ? (
+              <StarredPage />
+            ) : (
+              <Navigate to="/auth" />
+            )
+          }
+        />
       </Routes>
 
       <Toaster />
@@ -1,12 +1,61 @@
 import { useEffect } from "react";
 import { useAuthStore } from "../store/useAuthStore.js";
 
+// Idle time after which the user shows up as "away"
+const AWAY_AFTER_MS = 5 * 60 * 1000;
+const ACTIVITY_EVENTS = ["mousemove", "mousedown", "keydown", "touchstart", "scroll"];
+
 export default function AuthSync() {
-  const { checkAuth } = useAuthStore();
+  const { checkAuth, socket, setPresence } = useAuthStore();
 
   useEffect(() => {
     checkAuth();
   }, [checkAuth]);
 
+  // Report "away" after a stretch without activity or while the tab is hidden
+  useEffect(() => {
+    if (!socket) return;
+
+    let isAway = false;
+    let idleTimer;
+
+    const goAway = () => {
+      if (isAway) return;
+      isAway = true;
+      setPresence("away");
+    };
+
+    const handleActivity = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(goAway, AWAY_AFTER_MS);
+      if (isAway && !document.hidden) {
+        isAway = false;
+        setPresence("online");
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.hidden) goAway();
+      else handleActivity();
+    };
+
+    // The server treats every new connection as online
+    const handleReconnect = () => {
+      if (isAway) setPresence("away");
+    };
+
+    handleActivity();
+    socket.on("connect", handleReconnect);
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, handleActivity, { passive: true }));
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+
+    return () => {
+      clearTimeout(idleTimer);
+      socket.off("connect", handleReconnect);
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, [socket, setPresence]);
+
   return null;
 }
@@ -1,16 +1,44 @@
 import { useChatStore } from "../store/useChatStore";
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
 import ChatHeader from "./ChatHeader";
 import MessageInput from "./MessageInput";
 import MessageSkeleton from "./skeletons/MessageSkeleton";
 import { useAuthStore } from "../store/useAuthStore";
+import { useContactStore } from "../store/useContactStore";
 import { formatMessageTime } from "../lib/utils";
-import { Check, CheckCheck, ChevronDown, Reply, Forward, Star, Trash2, Copy, Info } from "lucide-react";
+import { Check, CheckCheck, ChevronDown, Reply, Forward, Star, Trash2, Copy, Info, Ban, Pencil, Plus, Clock, AlertCircle, Flag } from "lucide-react";
+import Picker from "emoji-picker-react";
 import EnhancedChatBackground from "./ChatBackground";
+import QuotedMessage from "./QuotedMessage";
+import ForwardModal from "./ForwardModal";
+import ReportModal from "./ReportModal";
+import DeleteMessageModal from "./DeleteMessageModal";
+import MessageInfoModal from "./MessageInfoModal";
+import MessageReactions from "./MessageReactions";
+
+const QUICK_REACTIONS = ["👍", "❤️", "😂", "😮", "😢", "🙏"];
+
+// Stays the same when the server's copy replaces our optimistic one
+const getMessageKey = (message) => message.clientId || message._id;
+
+const isUnsent = (message) => message.status === "pending" || message.status === "failed";
 
 // Message Status Component
 const MessageStatus = ({ status }) => {
-  if (status === "read") {
+  if (status === "pending") {
+    // Clock while the message is on its way to the server
+    return (
+      <span className="flex items-center">
+        <Clock className="w-3 h-3 text-base-content/50" />
+      </span>
+    );
+  } else if (status === "failed") {
+    return (
+      <span className="flex items-center">
+        <AlertCircle className="w-3 h-3 text-error" />
+      </span>
+    );
+  } else if (status === "read") {
     // Blue double tick for read
     return (
       <span className="flex items-center">
@@ -35,28 +63,169 @@ const MessageStatus = ({ status }) => {
 };
 
 const ChatContainer = () => {
-  const { messages, selectedUser, getMessages, isMessagesLoading } = useChatStore();
-  const { authUser } = useAuthStore();
+  const {
+    messages,
+    selectedUser,
+    getMessages,
+    isMessagesLoading,
+    subscribeToMessages,
+    unsubscribeFromMessages,
+    markMessagesAsRead,
+    setReplyingTo,
+    jumpToMessage,
+    highlightedMessageId,
+    clearHighlightedMessage,
+    toggleStar,
+    reactToMessage,
+    setEditingMessage,
+    retryMessage,
+    discardMessage,
+    hasMoreMessages,
+    isLoadingOlderMessages,
+    loadOlderMessages,
+  } = useChatStore();
+  const { authUser, socket } = useAuthStore();
+  const { unblockUser } = useContactStore();
   const messageEndRef = useRef(null);
+  const scrollContainerRef = useRef(null);
+  const prevScrollHeightRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
   const [activeMessageMenu, setActiveMessageMenu] = useState(null);
+  const [forwardingMessage, setForwardingMessage] = useState(null);
+  const [deletingMessage, setDeletingMessage] = useState(null);
+  const [infoMessage, setInfoMessage] = useState(null);
+  const [reactingMessage, setReactingMessage] = useState(null);
+  const [reportingMessage, setReportingMessage] = useState(null);
+  const isBlocked = !selectedUser.isGroup && authUser.blockedUsers?.includes(selectedUser._id);
 
   useEffect(() => {
-    getMessages(selectedUser._id);
+    getMessages();
+    markMessagesAsRead(selectedUser._id);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [selectedUser._id]);
 
   useEffect(() => {
-    if (messageEndRef.current && messages) {
-      messageEndRef.current.scrollIntoView({ behavior: "smooth" });
+    subscribeToMessages();
+    return () => unsubscribeFromMessages();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedUser._id, socket]);
+
+  // In groups the other side of a bubble is whichever member sent it
+  const getSender = (message) => {
+    if (message.senderId === authUser._id) return authUser;
+    if (!selectedUser.isGroup) return selectedUser;
+    return selectedUser.members.find((m) => m.user._id === message.senderId)?.user;
+  };
+
+  const getSenderName = (message) =>
+    message.senderId === authUser._id ? "You" : getSender(message)?.fullName || "Former member";
+
+  const handleReact = (message, emoji) => {
+    reactToMessage(message._id, emoji);
+    setActiveMessageMenu(null);
+  };
+
+  const handleMoreReactions = (message) => {
+    setReactingMessage(message);
+    setActiveMessageMenu(null);
+  };
+
+  const handleReply = (message) => {
+    setReplyingTo(message);
+    setActiveMessageMenu(null);
+  };
+
+  const handleReport = (message) => {
+    setReportingMessage(message);
+    setActiveMessageMenu(null);
+  };
+
+  const handleStar = (message) => {
+    toggleStar(message);
+    setActiveMessageMenu(null);
+  };
+
+  const handleEdit = (message) => {
+    setEditingMessage(message);
+    setActiveMessageMenu(null);
+  };
+
+  const handleInfo = (message) => {
+    setInfoMessage(message);
+    setActiveMessageMenu(null);
+  };
+
+  const handleDelete = (message) => {
+    setDeletingMessage(message);
+    setActiveMessageMenu(null);
+  };
+
+  const handleForward = (message) => {
+    setForwardingMessage(message);
+    setActiveMessageMenu(null);
+  };
+
+  useEffect(() => {
+    // The list is rebuilt after the skeleton, so scroll again once it is back
+    if (isMessagesLoading) {
+      lastMessageIdRef.current = null;
+      return;
+    }
+
+    // Only follow new messages at the bottom; prepending older pages keeps the position
+    const lastMessage = messages[messages.length - 1];
+    const lastMessageId = lastMessage && getMessageKey(lastMessage);
+    if (lastMessageId === lastMessageIdRef.current) return;
+    lastMessageIdRef.current = lastMessageId;
+
+    if (highlightedMessageId) return;
+    messageEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [messages, isMessagesLoading]);
+
+  // Keep the same messages in view after older ones were prepended above them
+  useLayoutEffect(() => {
+    const container = scrollContainerRef.current;
+    if (container && prevScrollHeightRef.current !== null) {
+      container.scrollTop += container.scrollHeight - prevScrollHeightRef.current;
+      prevScrollHeightRef.current = null;
     }
   }, [messages]);
 
+  const handleScroll = async (e) => {
+    const container = e.currentTarget;
+    if (container.scrollTop > 80 || !hasMoreMessages || isLoadingOlderMessages) return;
+
+    prevScrollHeightRef.current = container.scrollHeight;
+    const loaded = await loadOlderMessages();
+    if (!loaded) prevScrollHeightRef.current = null;
+  };
+
+  useEffect(() => {
+    // The target only exists once the skeleton is gone
+    if (!highlightedMessageId || isMessagesLoading) return;
+    document
+      .getElementById(`message-${highlightedMessageId}`)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+    const timeout = setTimeout(clearHighlightedMessage, 2000);
+    return () => clearTimeout(timeout);
+  }, [highlightedMessageId, isMessagesLoading, clearHighlightedMessage]);
+
   if (isMessagesLoading) {
     return (
       <div className="flex-1 flex flex-col overflow-auto">
         <ChatHeader />
         <MessageSkeleton />
-        <MessageInput />
+        {isBlocked ? (
+          <div className="p-4 text-center text-sm text-base-content/70 border-t border-base-300">
+            You blocked this contact.{" "}
+            <button onClick={() => unblockUser(selectedUser._id)} className="link link-primary">
+              Unblock
+            </button>
+          </div>
+        ) : (
+          <MessageInput />
+        )}
       </div>
     );
   }
@@ -66,50 +235,91 @@ const ChatContainer = () => {
       <EnhancedChatBackground />
       <ChatHeader />
 
-      <div className="flex-1 overflow-y-auto p-4 space-y-4 relative bg-base-100/80">
+      <div
+        ref={scrollContainerRef}
+        onScroll={handleScroll}
+        className="flex-1 overflow-y-auto p-4 space-y-4 relative bg-base-100/80"
+      >
+        {/* Absolutely positioned so it does not shift the scroll position */}
+        {isLoadingOlderMessages && (
+          <div className="absolute top-2 left-1/2 -translate-x-1/2">
+            <span className="loading loading-spinner loading-sm"></span>
+          </div>
+        )}
         {messages.map((message) => (
           <div
-            key={message._id}
+            key={getMessageKey(message)}
+            id={`message-${message._id}`}
             className={`chat ${message.senderId === authUser._id ? "chat-end" : "chat-start"} group relative`}
             ref={messageEndRef}
           >
             <div className=" chat-image avatar">
               <div className="size-10 rounded-full border">
                 <img
-                  src={
-                    message.senderId === authUser._id
-                      ? authUser.profilePic || "/avatar.png"
-                      : selectedUser.profilePic || "/avatar.png"
-                  }
+                  src={getSender(message)?.profilePic || "/avatar.png"}
                   alt="profile pic"
                 />
               </div>
             </div>
-            <div className="chat-bubble flex flex-col relative">
-              {message.image && (
-                <img
-                  src={message.image}
-                  alt="Attachment"
-                  className="sm:max-w-[200px] rounded-md mb-2"
-                />
-              )}
-              {message.audio && (
-                <div className="flex items-center gap-2 mb-2">
-                  <audio
-                    src={message.audio}
-                    controls
-                    className="h-8 w-48 sm:w-64"
-                  />
-                  {message.audioDuration && (
-                    <span className="text-xs text-base-content/60">
-                      {Math.floor(message.audioDuration / 60)}:{(message.audioDuration % 60).toString().padStart(2, "0")}
+            {selectedUser.isGroup && message.senderId !== authUser._id && (
+              <div className="chat-header text-xs opacity-70 mb-1">
+                {getSenderName(message)}
+              </div>
+            )}
+            <div
+              className={`chat-bubble flex flex-col relative transition-shadow ${
+                highlightedMessageId === message._id ? "ring-2 ring-primary" : ""
+              }`}
+            >
+              {message.deletedForEveryone ? (
+                <p className="flex items-center gap-1 italic opacity-60">
+                  <Ban className="w-4 h-4" />
+                  {message.senderId === authUser._id ? "You deleted this message" : "This message was deleted"}
+                </p>
+              ) : (
+                <>
+                  {message.forwarded && (
+                    <span className="flex items-center gap-1 text-xs italic opacity-60 mb-1">
+                      <Forward className="w-3 h-3" />
+                      {message.forwardCount >= 5 ? "Forwarded many times" : "Forwarded"}
                     </span>
                   )}
-                </div>
+                  {message.replyTo && (
+                    <QuotedMessage
+                      message={message.replyTo}
+                      senderName={getSenderName(message.replyTo)}
+                      onClick={() => jumpToMessage(message.replyTo._id)}
+                      className="mb-2"
+                    />
+                  )}
+                  {message.image && (
+                    <img
+                      src={message.image}
+                      alt="Attachment"
+                      className="sm:max-w-[200px] rounded-md mb-2"
+                    />
+                  )}
+                  {message.audio && (
+                    <div className="flex items-center gap-2 mb-2">
+                      <audio
+                        src={message.audio}
+                        controls
+                        className="h-8 w-48 sm:w-64"
+                      />
+                      {message.audioDuration && (
+                        <span className="text-xs text-base-content/60">
+                          {Math.floor(message.audioDuration / 60)}:{(message.audioDuration % 60).toString().padStart(2, "0")}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {message.text && <p>{message.text}</p>}
+                </>
               )}
-              {message.text && <p>{message.text}</p>}
               <div className="flex items-center justify-between mt-1">
-                <time className="text-xs opacity-50">
+                <time className="text-xs opacity-50 flex items-center gap-1">
+                  {message.isStarred && <Star className="w-3 h-3 fill-current" />}
+                  {message.editedAt && !message.deletedForEveryone && <span className="italic">edited</span>}
                   {formatMessageTime(message.createdAt)}
                 </time>
                 {/* Message Status - only for sent messages */}
@@ -118,45 +328,128 @@ const ChatContainer = () => {
                 )}
               </div>
               
-              {/* Message menu arrow - shows on hover */}
-              <button 
-                className={`absolute ${message.senderId === authUser._id ? '-left-8' : '-right-8'} top-2 opacity-0 group-hover:opacity-100 transition-opacity p-1 hover:bg-base-200 rounded`}
-                onClick={() => setActiveMessageMenu(activeMessageMenu === message._id ? null : message._id)}
-              >
-                <ChevronDown className="w-4 h-4" />
-              </button>
+              {/* Message menu arrow - shows on hover; unsent messages have nothing to act on yet */}
+              {!isUnsent(message) && (
+                <button
+                  className={`absolute ${message.senderId === authUser._id ? '-left-8' : '-right-8'} top-2 opacity-0 group-hover:opacity-100 transition-opacity p-1 hover:bg-base-200 rounded`}
+                  onClick={() => setActiveMessageMenu(activeMessageMenu === message._id ? null : message._id)}
+                >
+                  <ChevronDown className="w-4 h-4" />
+                </button>
+              )}
               
               {/* Message dropdown menu */}
               {activeMessageMenu === message._id && (
-                <div className={`absolute ${message.senderId === authUser._id ? 'right-full mr-2' : 'left-full ml-2'} top-0 w-48 bg-base-100 border border-base-300 rounded-lg shadow-lg z-50`}>
-                  <button className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm">
-                    <Reply className="w-4 h-4" />
-                    <span>Reply</span>
-                  </button>
-                  <button className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm">
-                    <Forward className="w-4 h-4" />
-                    <span>Forward</span>
-                  </button>
-                  <button className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm">
-                    <Star className="w-4 h-4" />
-                    <span>Star</span>
-                  </button>
-                  <button className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm">
-                    <Copy className="w-4 h-4" />
-                    <span>Copy</span>
-                  </button>
-                  <button className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm">
-                    <Info className="w-4 h-4" />
-                    <span>Info</span>
-                  </button>
-                  <hr className="border-base-300 my-1" />
-                  <button className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm text-red-500">
+                <div className={`absolute ${message.senderId === authUser._id ? 'right-full mr-2' : 'left-full ml-2'} top-0 w-56 bg-base-100 border border-base-300 rounded-lg shadow-lg z-50`}>
+                  {!message.deletedForEveryone && (
+                    <>
+                      <div className="flex items-center justify-between px-2 py-1.5 border-b border-base-300">
+                        {QUICK_REACTIONS.map((emoji) => (
+                          <button
+                            key={emoji}
+                            onClick={() => handleReact(message, emoji)}
+                            className="text-lg hover:scale-125 transition-transform"
+                          >
+                            {emoji}
+                          </button>
+                        ))}
+                        <button
+                          onClick={() => handleMoreReactions(message)}
+                          className="p-0.5 rounded-full hover:bg-base-200"
+                          title="More reactions"
+                        >
+                          <Plus className="w-4 h-4" />
+                        </button>
+                      </div>
+                      <button
+                        onClick={() => handleReply(message)}
+                        className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm"
+                      >
+                        <Reply className="w-4 h-4" />
+                        <span>Reply</span>
+                      </button>
+                      <button
+                        onClick={() => handleForward(message)}
+                        className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm"
+                      >
+                        <Forward className="w-4 h-4" />
+                        <span>Forward</span>
+                      </button>
+                      <button
+                        onClick={() => handleStar(message)}
+                        className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm"
+                      >
+                        <Star className="w-4 h-4" />
+                        <span>{message.isStarred ? "Unstar" : "Star"}</span>
+                      </button>
+                      <button className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm">
+                        <Copy className="w-4 h-4" />
+                        <span>Copy</span>
+                      </button>
+                      {message.senderId === authUser._id && message.text && !message.image && !message.audio && (
+                        <button
+                          onClick={() => handleEdit(message)}
+                          className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm"
+                        >
+                          <Pencil className="w-4 h-4" />
+                          <span>Edit</span>
+                        </button>
+                      )}
+                      {message.senderId === authUser._id && (
+                        <button
+                          onClick={() => handleInfo(message)}
+                          className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm"
+                        >
+                          <Info className="w-4 h-4" />
+                          <span>Info</span>
+                        </button>
+                      )}
+                      {message.senderId !== authUser._id && (
+                        <button
+                          onClick={() => handleReport(message)}
+                          className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm text-red-500"
+                        >
+                          <Flag className="w-4 h-4" />
+                          <span>Report</span>
+                        </button>
+                      )}
+                      <hr className="border-base-300 my-1" />
+                    </>
+                  )}
+                  <button
+                    onClick={() => handleDelete(message)}
+                    className="w-full px-3 py-2 flex items-center gap-2 hover:bg-base-200 text-left text-sm text-red-500"
+                  >
                     <Trash2 className="w-4 h-4" />
                     <span>Delete</span>
                   </button>
                 </div>
               )}
             </div>
+            {message.status === "failed" && (
+              <div className="chat-footer flex items-center gap-2 mt-1 text-xs text-error">
+                <button onClick={() => retryMessage(message.clientId)} className="hover:underline">
+                  Failed – tap to retry
+                </button>
+                <button
+                  onClick={() => discardMessage(message.clientId)}
+                  className="p-0.5 rounded hover:bg-base-200"
+                  title="Discard"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            )}
+            {!message.deletedForEveryone && message.reactions?.length > 0 && (
+              <div className="chat-footer">
+                <MessageReactions
+                  reactions={message.reactions}
+                  myId={authUser._id}
+                  getUserName={(userId) => getSenderName({ senderId: userId })}
+                  onToggle={(emoji) => reactToMessage(message._id, emoji)}
+                />
+              </div>
+            )}
           </div>
         ))}
       </div>
@@ -169,7 +462,56 @@ const ChatContainer = () => {
         />
       )}
 
-      <MessageInput />
+      {isBlocked ? (
+        <div className="p-4 text-center text-sm text-base-content/70 border-t border-base-300">
+          You blocked this contact.{" "}
+          <button onClick={() => unblockUser(selectedUser._id)} className="link link-primary">
+            Unblock
+          </button>
+        </div>
+      ) : (
+        <MessageInput />
+      )}
+
+      {forwardingMessage && (
+        <ForwardModal message={forwardingMessage} onClose={() => setForwardingMessage(null)} />
+      )}
+
+      {reactingMessage && (
+        <div className="modal modal-open">
+          <div className="modal-box w-auto p-0">
+            <Picker
+              onEmojiClick={(emojiData) => {
+                reactToMessage(reactingMessage._id, emojiData.emoji);
+                setReactingMessage(null);
+              }}
+              autoFocusSearch={false}
+              theme="dark"
+            />
+          </div>
+          <div className="modal-backdrop" onClick={() => setReactingMessage(null)} />
+        </div>
+      )}
+
+      {reportingMessage && (
+        <ReportModal
+          user={getSender(reportingMessage) || { _id: reportingMessage.senderId, fullName: "Former member" }}
+          message={reportingMessage}
+          onClose={() => setReportingMessage(null)}
+        />
+      )}
+
+      {infoMessage && <MessageInfoModal message={infoMessage} onClose={() => setInfoMessage(null)} />}
+
+      {deletingMessage && (
+        <DeleteMessageModal
+          message={deletingMessage}
+          canDeleteForEveryone={
+            deletingMessage.senderId === authUser._id && !deletingMessage.deletedForEveryone
+          }
+          onClose={() => setDeletingMessage(null)}
+        />
+      )}
     </div>
   );
 };
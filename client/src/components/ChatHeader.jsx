@@ -1,12 +1,91 @@
-import { MoreVertical, X, Search, Info, Volume2, Bell, Settings } from "lucide-react";
+import { MoreVertical, X, Search, Info, Volume2, VolumeX, Bell, Settings, Users, Ban, Flag } from "lucide-react";
 import { useAuthStore } from "../store/useAuthStore";
 import { useChatStore } from "../store/useChatStore";
+import { useContactStore } from "../store/useContactStore";
+import { useNotificationStore } from "../store/useNotificationStore";
 import { useState } from "react";
+import { formatLastSeen } from "../lib/utils";
+import { formatMutedUntil, isChatMuted } from "../lib/notifications";
+import GroupInfoModal from "./GroupInfoModal";
+import ConversationSearch from "./ConversationSearch";
+import ReportModal from "./ReportModal";
+import MuteChatModal from "./MuteChatModal";
+import CustomNotificationsModal from "./CustomNotificationsModal";
+import ContactInfoDrawer from "./ContactInfoDrawer";
 
 const ChatHeader = () => {
-  const { selectedUser, setSelectedUser } = useChatStore();
-  const { onlineUsers } = useAuthStore();
+  const { selectedUser, setSelectedUser, typingUsers } = useChatStore();
+  const { authUser, onlineUsers, presence, lastSeen } = useAuthStore();
+  const { blockUser, unblockUser } = useContactStore();
+  const { chatSettings, updateChatSettings } = useNotificationStore();
   const [showMenu, setShowMenu] = useState(false);
+  const [showGroupInfo, setShowGroupInfo] = useState(false);
+  const [showContactInfo, setShowContactInfo] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+  const [showMute, setShowMute] = useState(false);
+  const [showCustomNotifications, setShowCustomNotifications] = useState(false);
+  const isGroup = selectedUser.isGroup;
+  const isBlocked = !isGroup && authUser.blockedUsers?.includes(selectedUser._id);
+  const isMuted = isChatMuted(chatSettings[selectedUser._id]);
+
+  // "typing..." / "recording audio..." replaces the status line while anyone is composing
+  const getActivityText = () => {
+    const entries = Object.entries(typingUsers);
+    if (entries.length === 0) return null;
+
+    const isRecording = entries.some(([, kind]) => kind === "recording");
+    const activity = isRecording ? "recording audio..." : "typing...";
+    if (!isGroup) return activity;
+
+    const names = entries.map(
+      ([userId]) => selectedUser.members.find((m) => m.user._id === userId)?.user.fullName.split(" ")[0]
+    );
+    return `${names.filter(Boolean).join(", ")} ${names.length > 1 ? "are" : "is"} ${activity}`;
+  };
+  const activityText = getActivityText();
+
+  const getPresenceText = () => {
+    if (onlineUsers.includes(selectedUser._id)) {
+      return presence[selectedUser._id] === "away" ? "Away" : "Online";
+    }
+    // Live updates win over the value loaded with the user list
+    const seen = selectedUser._id in lastSeen ? lastSeen[selectedUser._id] : selectedUser.lastSeen;
+    return seen ? formatLastSeen(seen) : "Offline";
+  };
+
+  const handleInfo = () => {
+    if (isGroup) setShowGroupInfo(true);
+    else setShowContactInfo(true);
+    setShowMenu(false);
+  };
+
+  const handleSearch = () => {
+    setShowSearch(true);
+    setShowMenu(false);
+  };
+
+  const handleMute = () => {
+    if (isMuted) updateChatSettings(selectedUser._id, { mute: "off" });
+    else setShowMute(true);
+    setShowMenu(false);
+  };
+
+  const handleCustomNotifications = () => {
+    setShowCustomNotifications(true);
+    setShowMenu(false);
+  };
+
+  const handleBlock = () => {
+    if (isBlocked) unblockUser(selectedUser._id);
+    else blockUser(selectedUser._id);
+    setShowMenu(false);
+  };
+
+  const handleReport = () => {
+    setShowReport(true);
+    setShowMenu(false);
+  };
 
   return (
     <div className="p-2.5 border-b border-base-300 relative">
@@ -15,15 +94,28 @@ const ChatHeader = () => {
           {/* Avatar */}
           <div className="avatar">
             <div className="size-10 rounded-full relative">
-              <img src={selectedUser.profilePic || "/avatar.png"} alt={selectedUser.fullName} />
+              {isGroup && !selectedUser.groupPic ? (
+                <div className="size-10 bg-primary/20 flex items-center justify-center">
+                  <Users className="w-5 h-5 text-primary" />
+                </div>
+              ) : (
+                <img
+                  src={(isGroup ? selectedUser.groupPic : selectedUser.profilePic) || "/avatar.png"}
+                  alt={isGroup ? selectedUser.name : selectedUser.fullName}
+                />
+              )}
             </div>
           </div>
 
           {/* User info */}
-          <div>
-            <h3 className="font-medium">{selectedUser.fullName}</h3>
-            <p className="text-sm text-base-content/70">
-              {onlineUsers.includes(selectedUser._id) ? "Online" : "Offline"}
+          <div className="min-w-0">
+            <h3 className="font-medium">{isGroup ? selectedUser.name : selectedUser.fullName}</h3>
+            <p className="text-sm text-base-content/70 truncate">
+              {activityText ? (
+                <span className="text-emerald-500">{activityText}</span>
+              ) : isGroup
+                ? selectedUser.members.map((m) => m.user.fullName).join(", ")
+                : getPresenceText()}
             </p>
           </div>
         </div>
@@ -41,22 +133,41 @@ const ChatHeader = () => {
           {showMenu && (
             <div className="absolute right-0 top-10 w-56 bg-base-100 border border-base-300 rounded-lg shadow-lg z-50">
               {/* Menu items */}
-              <button className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left">
+              <button
+                onClick={handleSearch}
+                className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left"
+              >
                 <Search className="w-4 h-4" />
                 <span>Search in conversation</span>
               </button>
               
-              <button className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left">
+              <button
+                onClick={handleInfo}
+                className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left"
+              >
                 <Info className="w-4 h-4" />
-                <span>Contact info</span>
+                <span>{isGroup ? "Group info" : "Contact info"}</span>
               </button>
               
-              <button className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left">
-                <Volume2 className="w-4 h-4" />
-                <span>Mute notifications</span>
+              <button
+                onClick={handleMute}
+                className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left"
+              >
+                {isMuted ? <Volume2 className="w-4 h-4" /> : <VolumeX className="w-4 h-4" />}
+                <div className="min-w-0">
+                  <span>{isMuted ? "Unmute notifications" : "Mute notifications"}</span>
+                  {isMuted && (
+                    <p className="text-xs text-base-content/60 truncate">
+                      {formatMutedUntil(chatSettings[selectedUser._id])}
+                    </p>
+                  )}
+                </div>
               </button>
               
-              <button className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left">
+              <button
+                onClick={handleCustomNotifications}
+                className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left"
+              >
                 <Bell className="w-4 h-4" />
                 <span>Custom notifications</span>
               </button>
@@ -65,6 +176,26 @@ const ChatHeader = () => {
                 <Settings className="w-4 h-4" />
                 <span>More options</span>
               </button>
+
+              {!isGroup && (
+                <>
+                  <button
+                    onClick={handleBlock}
+                    className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left text-red-500"
+                  >
+                    <Ban className="w-4 h-4" />
+                    <span>{isBlocked ? "Unblock" : "Block"}</span>
+                  </button>
+
+                  <button
+                    onClick={handleReport}
+                    className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left text-red-500"
+                  >
+                    <Flag className="w-4 h-4" />
+                    <span>Report</span>
+                  </button>
+                </>
+              )}
               
               <hr className="border-base-300 my-1" />
               
@@ -87,6 +218,36 @@ const ChatHeader = () => {
           onClick={() => setShowMenu(false)}
         />
       )}
+
+      {showSearch && (
+        <ConversationSearch key={selectedUser._id} onClose={() => setShowSearch(false)} />
+      )}
+
+      {showMute && <MuteChatModal chatId={selectedUser._id} onClose={() => setShowMute(false)} />}
+
+      {showCustomNotifications && (
+        <CustomNotificationsModal
+          key={selectedUser._id}
+          chatId={selectedUser._id}
+          isGroup={isGroup}
+          onClose={() => setShowCustomNotifications(false)}
+        />
+      )}
+
+      {showReport && <ReportModal user={selectedUser} onClose={() => setShowReport(false)} />}
+
+      {showContactInfo && !isGroup && (
+        <ContactInfoDrawer
+          key={selectedUser._id}
+          user={selectedUser}
+          presenceText={getPresenceText()}
+          onClose={() => setShowContactInfo(false)}
+        />
+      )}
+
+      {showGroupInfo && isGroup && (
+        <GroupInfoModal group={selectedUser} onClose={() => setShowGroupInfo(false)} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,287 @@
+import { useEffect, useState } from "react";
+import { Ban, Download, Eraser, Link2, Users, Volume2, VolumeX, X } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import { formatDateTime } from "../lib/utils";
+import { formatMutedUntil, isChatMuted } from "../lib/notifications";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { useContactStore } from "../store/useContactStore";
+import { useNotificationStore } from "../store/useNotificationStore";
+import MuteChatModal from "./MuteChatModal";
+
+const TABS = [
+  { value: "media", label: "Media" },
+  { value: "links", label: "Links" },
+  { value: "documents", label: "Docs" },
+];
+
+const EmptyTab = ({ children }) => <p className="text-sm text-base-content/50 text-center py-6">{children}</p>;
+
+// Side panel for a one-to-one chat: the peer's profile, what was shared in this
+// conversation, groups in common and chat-wide actions
+const ContactInfoDrawer = ({ user, presenceText, onClose }) => {
+  const { authUser } = useAuthStore();
+  const { setSelectedUser, clearChat, exportChat } = useChatStore();
+  const { blockUser, unblockUser } = useContactStore();
+  const { chatSettings, updateChatSettings } = useNotificationStore();
+  const [activeTab, setActiveTab] = useState("media");
+  const [media, setMedia] = useState([]);
+  const [shared, setShared] = useState({ links: [], documents: [] });
+  const [commonGroups, setCommonGroups] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showMute, setShowMute] = useState(false);
+  const [showClearConfirm, setShowClearConfirm] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const isBlocked = authUser.blockedUsers?.includes(user._id);
+  const isMuted = isChatMuted(chatSettings[user._id]);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [mediaRes, linksRes, groupsRes] = await Promise.all([
+          axiosInstance.get("/messages/media", { params: { chatId: user._id } }),
+          axiosInstance.get(`/messages/chat/${user._id}/links`),
+          axiosInstance.get(`/groups/common/${user._id}`),
+        ]);
+        setMedia(mediaRes.data);
+        setShared(linksRes.data);
+        setCommonGroups(groupsRes.data);
+      } catch (error) {
+        console.error("Error loading contact info:", error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    load();
+  }, [user._id]);
+
+  const handleMute = () => {
+    if (isMuted) updateChatSettings(user._id, { mute: "off" });
+    else setShowMute(true);
+  };
+
+  const handleBlock = () => {
+    if (isBlocked) unblockUser(user._id);
+    else blockUser(user._id);
+  };
+
+  const handleClear = async () => {
+    if (await clearChat(user._id)) {
+      setMedia([]);
+      setShared({ links: [], documents: [] });
+    }
+    setShowClearConfirm(false);
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    await exportChat(user);
+    setIsExporting(false);
+  };
+
+  const renderTab = () => {
+    if (isLoading) {
+      return (
+        <div className="flex justify-center py-6">
+          <span className="loading loading-spinner"></span>
+        </div>
+      );
+    }
+
+    if (activeTab === "media") {
+      if (media.length === 0) return <EmptyTab>No photos or voice messages yet</EmptyTab>;
+      return (
+        <div className="grid grid-cols-3 gap-1">
+          {media.map((msg) =>
+            msg.image ? (
+              <a key={msg._id} href={msg.image} target="_blank" rel="noopener noreferrer">
+                <img src={msg.image} alt="Shared" className="aspect-square w-full object-cover rounded" />
+              </a>
+            ) : (
+              <div key={msg._id} className="col-span-3 bg-base-200 rounded p-2">
+                <audio controls src={msg.audio} className="w-full h-8" />
+                <p className="text-xs text-base-content/50 mt-1">{formatDateTime(msg.createdAt)}</p>
+              </div>
+            )
+          )}
+        </div>
+      );
+    }
+
+    const entries = activeTab === "links" ? shared.links : shared.documents;
+    if (entries.length === 0) {
+      return <EmptyTab>{activeTab === "links" ? "No links yet" : "No documents yet"}</EmptyTab>;
+    }
+    return (
+      <div className="space-y-1">
+        {entries.map((entry, i) => (
+          <a
+            key={`${entry.messageId}-${i}`}
+            href={entry.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="flex items-center gap-3 p-2 rounded-lg hover:bg-base-200"
+          >
+            <div className="size-9 rounded bg-base-300 flex items-center justify-center flex-shrink-0">
+              {activeTab === "links" ? (
+                <Link2 className="w-4 h-4" />
+              ) : (
+                <span className="text-[10px] font-semibold uppercase">{entry.extension}</span>
+              )}
+            </div>
+            <div className="min-w-0">
+              <p className="text-sm text-primary truncate">{entry.url}</p>
+              <p className="text-xs text-base-content/50">{formatDateTime(entry.sentAt)}</p>
+            </div>
+          </a>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black/30 z-40" onClick={onClose} />
+      <aside className="fixed inset-y-0 right-0 w-full sm:w-96 bg-base-100 border-l border-base-300 shadow-xl z-50 flex flex-col">
+        <div className="p-4 border-b border-base-300 flex items-center gap-3">
+          <button onClick={onClose} className="btn btn-ghost btn-sm btn-square">
+            <X className="w-5 h-5" />
+          </button>
+          <h2 className="font-medium">Contact info</h2>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {/* Profile */}
+          <div className="p-6 flex flex-col items-center text-center border-b border-base-300">
+            <img
+              src={user.profilePic || "/avatar.png"}
+              alt={user.fullName}
+              className="size-28 rounded-full object-cover"
+            />
+            <h3 className="text-lg font-semibold mt-3">{user.fullName}</h3>
+            <p className="text-sm text-base-content/60">{presenceText}</p>
+            {user.about && <p className="text-sm mt-3 break-words">{user.about}</p>}
+          </div>
+
+          {/* Shared in this chat */}
+          <div className="border-b border-base-300">
+            <div className="flex">
+              {TABS.map((tab) => (
+                <button
+                  key={tab.value}
+                  onClick={() => setActiveTab(tab.value)}
+                  className={`flex-1 py-3 text-sm font-medium transition-colors ${
+                    activeTab === tab.value
+                      ? "text-primary border-b-2 border-primary"
+                      : "text-base-content/70 hover:bg-base-200"
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+            <div className="p-3 max-h-72 overflow-y-auto">{renderTab()}</div>
+          </div>
+
+          {/* Groups in common */}
+          <div className="p-4 border-b border-base-300">
+            <h4 className="text-sm text-base-content/60 mb-2">
+              {commonGroups.length} {commonGroups.length === 1 ? "group" : "groups"} in common
+            </h4>
+            {commonGroups.map((group) => (
+              <button
+                key={group._id}
+                onClick={() => {
+                  onClose();
+                  setSelectedUser(group);
+                }}
+                className="w-full flex items-center gap-3 p-2 rounded-lg hover:bg-base-200 text-left"
+              >
+                {group.groupPic ? (
+                  <img src={group.groupPic} alt={group.name} className="size-9 rounded-full object-cover" />
+                ) : (
+                  <div className="size-9 rounded-full bg-primary/20 flex items-center justify-center">
+                    <Users className="w-4 h-4 text-primary" />
+                  </div>
+                )}
+                <div className="min-w-0">
+                  <p className="truncate">{group.name}</p>
+                  <p className="text-xs text-base-content/60 truncate">
+                    {group.members.map((m) => m.user.fullName).join(", ")}
+                  </p>
+                </div>
+              </button>
+            ))}
+          </div>
+
+          {/* Actions */}
+          <div className="py-2">
+            <button
+              onClick={handleMute}
+              className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left"
+            >
+              {isMuted ? <Volume2 className="w-4 h-4" /> : <VolumeX className="w-4 h-4" />}
+              <div className="min-w-0">
+                <span>{isMuted ? "Unmute notifications" : "Mute notifications"}</span>
+                {isMuted && (
+                  <p className="text-xs text-base-content/60 truncate">
+                    {formatMutedUntil(chatSettings[user._id])}
+                  </p>
+                )}
+              </div>
+            </button>
+
+            <button
+              onClick={handleExport}
+              disabled={isExporting}
+              className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left"
+            >
+              <Download className="w-4 h-4" />
+              <span>{isExporting ? "Exporting..." : "Export chat"}</span>
+            </button>
+
+            <button
+              onClick={() => setShowClearConfirm(true)}
+              className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left text-red-500"
+            >
+              <Eraser className="w-4 h-4" />
+              <span>Clear chat</span>
+            </button>
+
+            <button
+              onClick={handleBlock}
+              className="w-full px-4 py-3 flex items-center gap-3 hover:bg-base-200 transition-colors text-left text-red-500"
+            >
+              <Ban className="w-4 h-4" />
+              <span>{isBlocked ? `Unblock ${user.fullName}` : `Block ${user.fullName}`}</span>
+            </button>
+          </div>
+        </div>
+      </aside>
+
+      {showMute && <MuteChatModal chatId={user._id} onClose={() => setShowMute(false)} />}
+
+      {showClearConfirm && (
+        <div className="modal modal-open">
+          <div className="modal-box max-w-sm">
+            <h3 className="font-bold text-lg">Clear this chat?</h3>
+            <p className="text-sm text-base-content/70 mt-2">
+              Messages will be removed for you only. {user.fullName} will still see them.
+            </p>
+            <div className="mt-6 flex justify-end gap-2">
+              <button onClick={() => setShowClearConfirm(false)} className="btn btn-ghost btn-sm">
+                Cancel
+              </button>
+              <button onClick={handleClear} className="btn btn-error btn-sm">
+                Clear chat
+              </button>
+            </div>
+          </div>
+          <div className="modal-backdrop" onClick={() => setShowClearConfirm(false)} />
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ContactInfoDrawer;
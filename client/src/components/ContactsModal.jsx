@@ -0,0 +1,171 @@
+import { useEffect, useState } from "react";
+import { Check, UserMinus, UserPlus, X } from "lucide-react";
+import { useContactStore } from "../store/useContactStore";
+import { useChatStore } from "../store/useChatStore";
+
+const ContactRow = ({ user, onClick, children }) => (
+  <div className="px-4 py-2.5 flex items-center gap-3 hover:bg-base-200 transition-colors">
+    <button type="button" onClick={onClick} className="flex-1 flex items-center gap-3 min-w-0 text-left">
+      <img
+        src={user.profilePic || "/avatar.png"}
+        alt={user.fullName}
+        className="w-10 h-10 object-cover rounded-full"
+      />
+      <div className="min-w-0">
+        <p className="truncate">{user.fullName}</p>
+        <p className="text-xs text-base-content/60 truncate">{user.email}</p>
+      </div>
+    </button>
+    {children}
+  </div>
+);
+
+const SectionTitle = ({ children }) => (
+  <div className="px-4 pt-3 pb-1 text-xs font-semibold uppercase text-base-content/60">{children}</div>
+);
+
+const ContactsModal = ({ onClose }) => {
+  const {
+    contacts,
+    incomingRequests,
+    outgoingRequests,
+    blockedUsers,
+    isContactsLoading,
+    getContacts,
+    addContact,
+    acceptRequest,
+    declineRequest,
+    removeContact,
+    unblockUser,
+  } = useContactStore();
+  const { setSelectedUser } = useChatStore();
+  const [email, setEmail] = useState("");
+  const [isAdding, setIsAdding] = useState(false);
+
+  useEffect(() => {
+    getContacts();
+  }, [getContacts]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+
+    setIsAdding(true);
+    const added = await addContact(email.trim());
+    setIsAdding(false);
+    if (added) setEmail("");
+  };
+
+  const openChat = (user) => {
+    setSelectedUser(user);
+    onClose();
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-md p-0 flex flex-col max-h-[80vh]">
+        <div className="px-4 py-3 border-b border-base-300 flex items-center justify-between">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <UserPlus className="w-5 h-5" />
+            Contacts
+          </h3>
+          <button type="button" onClick={onClose} className="btn btn-ghost btn-sm btn-circle">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <form onSubmit={handleAdd} className="p-4 border-b border-base-300 flex gap-2">
+          <input
+            type="email"
+            className="input input-bordered input-sm flex-1"
+            placeholder="Add by email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoFocus
+          />
+          <button type="submit" className="btn btn-primary btn-sm" disabled={!email.trim() || isAdding}>
+            {isAdding ? "Adding..." : "Add"}
+          </button>
+        </form>
+
+        <div className="flex-1 overflow-y-auto pb-2">
+          {incomingRequests.length > 0 && (
+            <>
+              <SectionTitle>Requests</SectionTitle>
+              {incomingRequests.map((request) => (
+                <ContactRow key={request._id} user={request.user}>
+                  <button
+                    onClick={() => acceptRequest(request._id)}
+                    className="btn btn-primary btn-xs btn-circle"
+                    title="Accept"
+                  >
+                    <Check className="w-3 h-3" />
+                  </button>
+                  <button
+                    onClick={() => declineRequest(request._id)}
+                    className="btn btn-ghost btn-xs btn-circle"
+                    title="Decline"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </ContactRow>
+              ))}
+            </>
+          )}
+
+          {outgoingRequests.length > 0 && (
+            <>
+              <SectionTitle>Sent</SectionTitle>
+              {outgoingRequests.map((request) => (
+                <ContactRow key={request._id} user={request.user}>
+                  <button onClick={() => removeContact(request.user._id)} className="btn btn-ghost btn-xs">
+                    Cancel
+                  </button>
+                </ContactRow>
+              ))}
+            </>
+          )}
+
+          <SectionTitle>My contacts</SectionTitle>
+          {isContactsLoading && contacts.length === 0 ? (
+            <div className="flex justify-center py-4">
+              <span className="loading loading-spinner loading-sm"></span>
+            </div>
+          ) : contacts.length === 0 ? (
+            <p className="text-center text-sm text-base-content/50 py-4">
+              No contacts yet. Add someone by their email.
+            </p>
+          ) : (
+            contacts.map((user) => (
+              <ContactRow key={user._id} user={user} onClick={() => openChat(user)}>
+                <button
+                  onClick={() => removeContact(user._id)}
+                  className="btn btn-ghost btn-xs btn-circle"
+                  title="Remove contact"
+                >
+                  <UserMinus className="w-3 h-3" />
+                </button>
+              </ContactRow>
+            ))
+          )}
+
+          {blockedUsers.length > 0 && (
+            <>
+              <SectionTitle>Blocked</SectionTitle>
+              {blockedUsers.map((user) => (
+                <ContactRow key={user._id} user={user}>
+                  <button onClick={() => unblockUser(user._id)} className="btn btn-ghost btn-xs">
+                    Unblock
+                  </button>
+                </ContactRow>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default ContactsModal;
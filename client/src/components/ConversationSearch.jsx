@@ -0,0 +1,40 @@
+import { useState } from "react";
+import { Search, X } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import MessageSearchResults from "./MessageSearchResults";
+
+const ConversationSearch = ({ onClose }) => {
+  const { selectedUser, jumpToMessage } = useChatStore();
+  const [query, setQuery] = useState("");
+
+  return (
+    <div className="absolute right-2 top-full mt-1 w-80 max-h-[60vh] flex flex-col bg-base-100 border border-base-300 rounded-lg shadow-lg z-30">
+      <div className="p-2 border-b border-base-300 flex items-center gap-2">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-base-content/50" />
+          <input
+            type="text"
+            placeholder="Search messages"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            className="w-full pl-9 pr-3 py-1.5 bg-base-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary/50"
+            autoFocus
+          />
+        </div>
+        <button onClick={onClose} className="btn btn-ghost btn-sm btn-circle">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        <MessageSearchResults
+          query={query}
+          chat={selectedUser}
+          onSelect={(msg) => jumpToMessage(msg._id)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ConversationSearch;
@@ -0,0 +1,102 @@
+import { useState } from "react";
+import { Check, Users, X } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+
+const CreateGroupModal = ({ onClose }) => {
+  const { users, createGroup, setSelectedUser } = useChatStore();
+  const [name, setName] = useState("");
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const toggleMember = (userId) => {
+    setSelectedIds((prev) =>
+      prev.includes(userId) ? prev.filter((id) => id !== userId) : [...prev, userId]
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || selectedIds.length === 0) return;
+
+    setIsCreating(true);
+    const group = await createGroup(name.trim(), selectedIds);
+    setIsCreating(false);
+
+    if (group) {
+      setSelectedUser(group);
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal modal-open">
+      <form onSubmit={handleSubmit} className="modal-box max-w-md p-0 flex flex-col max-h-[80vh]">
+        <div className="px-4 py-3 border-b border-base-300 flex items-center justify-between">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <Users className="w-5 h-5" />
+            New group
+          </h3>
+          <button type="button" onClick={onClose} className="btn btn-ghost btn-sm btn-circle">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-4 border-b border-base-300">
+          <input
+            type="text"
+            className="input input-bordered w-full"
+            placeholder="Group name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            autoFocus
+          />
+          <p className="text-xs text-base-content/60 mt-2">{selectedIds.length} member(s) selected</p>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {users.map((user) => {
+            const isSelected = selectedIds.includes(user._id);
+            return (
+              <button
+                key={user._id}
+                type="button"
+                onClick={() => toggleMember(user._id)}
+                className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-base-200 transition-colors"
+              >
+                <img
+                  src={user.profilePic || "/avatar.png"}
+                  alt={user.fullName}
+                  className="w-10 h-10 object-cover rounded-full"
+                />
+                <span className="flex-1 text-left truncate">{user.fullName}</span>
+                <span
+                  className={`w-5 h-5 rounded border flex items-center justify-center ${
+                    isSelected ? "bg-primary border-primary text-primary-content" : "border-base-content/30"
+                  }`}
+                >
+                  {isSelected && <Check className="w-3 h-3" />}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="p-4 border-t border-base-300 flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="btn btn-ghost btn-sm">
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="btn btn-primary btn-sm"
+            disabled={!name.trim() || selectedIds.length === 0 || isCreating}
+          >
+            {isCreating ? "Creating..." : "Create"}
+          </button>
+        </div>
+      </form>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default CreateGroupModal;
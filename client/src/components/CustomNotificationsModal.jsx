@@ -0,0 +1,77 @@
+import { useState } from "react";
+import { Volume2 } from "lucide-react";
+import { useNotificationStore } from "../store/useNotificationStore";
+import { NOTIFICATION_SOUNDS, playNotificationSound } from "../lib/notifications";
+
+const CustomNotificationsModal = ({ chatId, isGroup, onClose }) => {
+  const { getSettingsFor, updateChatSettings } = useNotificationStore();
+  const settings = getSettingsFor(chatId);
+  const [sound, setSound] = useState(settings.sound);
+  const [mentionsOnly, setMentionsOnly] = useState(settings.mentionsOnly);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await updateChatSettings(chatId, isGroup ? { sound, mentionsOnly } : { sound });
+    setIsSaving(false);
+    if (saved) onClose();
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-sm">
+        <h3 className="font-bold text-lg">Custom notifications</h3>
+
+        <label className="form-control mt-4">
+          <span className="label-text mb-1">Notification sound</span>
+          <div className="flex gap-2">
+            <select
+              className="select select-bordered select-sm flex-1"
+              value={sound}
+              onChange={(e) => setSound(e.target.value)}
+            >
+              {NOTIFICATION_SOUNDS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => playNotificationSound(sound)}
+              className="btn btn-ghost btn-sm btn-square"
+              title="Preview"
+              disabled={sound === "none"}
+            >
+              <Volume2 className="w-4 h-4" />
+            </button>
+          </div>
+        </label>
+
+        {isGroup && (
+          <label className="label cursor-pointer justify-start gap-3 mt-3">
+            <input
+              type="checkbox"
+              className="toggle toggle-sm toggle-primary"
+              checked={mentionsOnly}
+              onChange={(e) => setMentionsOnly(e.target.checked)}
+            />
+            <span className="label-text">Only notify me for @mentions and replies</span>
+          </label>
+        )}
+
+        <div className="mt-6 flex justify-end gap-2">
+          <button onClick={onClose} className="btn btn-ghost btn-sm">
+            Cancel
+          </button>
+          <button onClick={handleSave} className="btn btn-primary btn-sm" disabled={isSaving}>
+            {isSaving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default CustomNotificationsModal;
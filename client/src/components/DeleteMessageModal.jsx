@@ -0,0 +1,34 @@
+import { useChatStore } from "../store/useChatStore";
+
+const DeleteMessageModal = ({ message, canDeleteForEveryone, onClose }) => {
+  const { deleteMessage } = useChatStore();
+
+  const handleDelete = async (scope) => {
+    onClose();
+    await deleteMessage(message._id, scope);
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-sm">
+        <h3 className="font-bold text-lg">Delete message?</h3>
+        <div className="mt-6 flex flex-col items-end gap-2">
+          {canDeleteForEveryone && (
+            <button onClick={() => handleDelete("everyone")} className="btn btn-ghost btn-sm text-red-500">
+              Delete for everyone
+            </button>
+          )}
+          <button onClick={() => handleDelete("me")} className="btn btn-ghost btn-sm text-red-500">
+            Delete for me
+          </button>
+          <button onClick={onClose} className="btn btn-ghost btn-sm">
+            Cancel
+          </button>
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default DeleteMessageModal;
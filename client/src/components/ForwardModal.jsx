@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { Check, Forward, Search, Users, X } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+
+const ForwardModal = ({ message, onClose }) => {
+  const { users, groups, forwardMessage } = useChatStore();
+  const [searchQuery, setSearchQuery] = useState("");
+  const [selected, setSelected] = useState([]); // [{ id, isGroup }]
+  const [isSending, setIsSending] = useState(false);
+
+  const isSelected = (id) => selected.some((t) => t.id === id);
+
+  const toggleTarget = (id, isGroup) => {
+    setSelected((prev) =>
+      isSelected(id) ? prev.filter((t) => t.id !== id) : [...prev, { id, isGroup }]
+    );
+  };
+
+  const query = searchQuery.toLowerCase();
+  const targets = [
+    ...groups
+      .filter((g) => g.name.toLowerCase().includes(query))
+      .map((g) => ({ id: g._id, name: g.name, pic: g.groupPic, isGroup: true })),
+    ...users
+      .filter((u) => u.fullName?.toLowerCase().includes(query))
+      .map((u) => ({ id: u._id, name: u.fullName, pic: u.profilePic, isGroup: false })),
+  ];
+
+  const handleForward = async () => {
+    if (selected.length === 0) return;
+
+    setIsSending(true);
+    const ok = await forwardMessage(
+      message._id,
+      selected.filter((t) => !t.isGroup).map((t) => t.id),
+      selected.filter((t) => t.isGroup).map((t) => t.id)
+    );
+    setIsSending(false);
+
+    if (ok) onClose();
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-md p-0 flex flex-col max-h-[80vh]">
+        <div className="px-4 py-3 border-b border-base-300 flex items-center justify-between">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <Forward className="w-5 h-5" />
+            Forward message to
+          </h3>
+          <button onClick={onClose} className="btn btn-ghost btn-sm btn-circle">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="px-4 py-3 border-b border-base-300">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-base-content/50" />
+            <input
+              type="text"
+              placeholder="Search"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="w-full pl-10 pr-4 py-2 bg-base-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary/50"
+            />
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {targets.map((target) => (
+            <button
+              key={target.id}
+              onClick={() => toggleTarget(target.id, target.isGroup)}
+              className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-base-200 transition-colors"
+            >
+              {target.isGroup && !target.pic ? (
+                <div className="w-10 h-10 rounded-full bg-primary/20 flex items-center justify-center">
+                  <Users className="w-5 h-5 text-primary" />
+                </div>
+              ) : (
+                <img
+                  src={target.pic || "/avatar.png"}
+                  alt={target.name}
+                  className="w-10 h-10 object-cover rounded-full"
+                />
+              )}
+              <span className="flex-1 text-left truncate">{target.name}</span>
+              <span
+                className={`w-5 h-5 rounded border flex items-center justify-center ${
+                  isSelected(target.id)
+                    ? "bg-primary border-primary text-primary-content"
+                    : "border-base-content/30"
+                }`}
+              >
+                {isSelected(target.id) && <Check className="w-3 h-3" />}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        <div className="p-4 border-t border-base-300 flex items-center justify-between">
+          <span className="text-sm text-base-content/60">{selected.length} selected</span>
+          <button
+            onClick={handleForward}
+            className="btn btn-primary btn-sm"
+            disabled={selected.length === 0 || isSending}
+          >
+            {isSending ? "Forwarding..." : "Forward"}
+          </button>
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default ForwardModal;
@@ -0,0 +1,152 @@
+import { useState } from "react";
+import { LogOut, Pencil, Shield, UserMinus, UserPlus, Users, X } from "lucide-react";
+import { useChatStore } from "../store/useChatStore";
+import { useAuthStore } from "../store/useAuthStore";
+
+const GroupInfoModal = ({ group, onClose }) => {
+  const { users, renameGroup, addGroupMembers, removeGroupMember, setGroupMemberRole } =
+    useChatStore();
+  const { authUser } = useAuthStore();
+  const [name, setName] = useState(group.name);
+  const [isEditingName, setIsEditingName] = useState(false);
+  const [showAddMembers, setShowAddMembers] = useState(false);
+
+  const isAdmin = group.members.some((m) => m.user._id === authUser._id && m.role === "admin");
+  const memberIds = group.members.map((m) => m.user._id);
+  const candidates = users.filter((u) => !memberIds.includes(u._id));
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim() || name.trim() === group.name) {
+      setIsEditingName(false);
+      return;
+    }
+    await renameGroup(group._id, name.trim());
+    setIsEditingName(false);
+  };
+
+  const handleLeave = async () => {
+    await removeGroupMember(group._id, authUser._id);
+    onClose();
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-md p-0 flex flex-col max-h-[80vh]">
+        <div className="px-4 py-3 border-b border-base-300 flex items-center justify-between">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <Users className="w-5 h-5" />
+            Group info
+          </h3>
+          <button onClick={onClose} className="btn btn-ghost btn-sm btn-circle">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Name */}
+        <div className="p-4 border-b border-base-300">
+          {isEditingName ? (
+            <form onSubmit={handleRename} className="flex gap-2">
+              <input
+                type="text"
+                className="input input-bordered input-sm flex-1"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                autoFocus
+              />
+              <button type="submit" className="btn btn-primary btn-sm">
+                Save
+              </button>
+            </form>
+          ) : (
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="font-medium text-lg">{group.name}</p>
+                <p className="text-xs text-base-content/60">{group.members.length} members</p>
+              </div>
+              {isAdmin && (
+                <button onClick={() => setIsEditingName(true)} className="btn btn-ghost btn-sm btn-circle">
+                  <Pencil className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Members */}
+        <div className="flex-1 overflow-y-auto">
+          {isAdmin && (
+            <button
+              onClick={() => setShowAddMembers(!showAddMembers)}
+              className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-base-200 transition-colors text-primary"
+            >
+              <UserPlus className="w-5 h-5" />
+              <span>Add members</span>
+            </button>
+          )}
+
+          {showAddMembers &&
+            candidates.map((user) => (
+              <button
+                key={user._id}
+                onClick={() => addGroupMembers(group._id, [user._id])}
+                className="w-full px-6 py-2 flex items-center gap-3 hover:bg-base-200 transition-colors bg-base-200/50"
+              >
+                <img
+                  src={user.profilePic || "/avatar.png"}
+                  alt={user.fullName}
+                  className="w-8 h-8 object-cover rounded-full"
+                />
+                <span className="flex-1 text-left text-sm truncate">{user.fullName}</span>
+                <UserPlus className="w-4 h-4 text-base-content/60" />
+              </button>
+            ))}
+
+          {group.members.map(({ user, role }) => (
+            <div key={user._id} className="px-4 py-2.5 flex items-center gap-3">
+              <img
+                src={user.profilePic || "/avatar.png"}
+                alt={user.fullName}
+                className="w-10 h-10 object-cover rounded-full"
+              />
+              <div className="flex-1 min-w-0">
+                <p className="truncate">{user._id === authUser._id ? "You" : user.fullName}</p>
+                {role === "admin" && <p className="text-xs text-emerald-500">Group admin</p>}
+              </div>
+              {isAdmin && user._id !== authUser._id && (
+                <div className="flex gap-1">
+                  <button
+                    onClick={() =>
+                      setGroupMemberRole(group._id, user._id, role === "admin" ? "member" : "admin")
+                    }
+                    className="btn btn-ghost btn-xs btn-circle"
+                    title={role === "admin" ? "Dismiss as admin" : "Make group admin"}
+                  >
+                    <Shield className={`w-4 h-4 ${role === "admin" ? "text-emerald-500" : ""}`} />
+                  </button>
+                  <button
+                    onClick={() => removeGroupMember(group._id, user._id)}
+                    className="btn btn-ghost btn-xs btn-circle text-red-500"
+                    title="Remove"
+                  >
+                    <UserMinus className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="p-4 border-t border-base-300">
+          <button onClick={handleLeave} className="btn btn-ghost btn-sm text-red-500 w-full">
+            <LogOut className="w-4 h-4" />
+            Exit group
+          </button>
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default GroupInfoModal;
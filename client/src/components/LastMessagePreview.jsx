@@ -0,0 +1,26 @@
+import { Ban, Image, Mic } from "lucide-react";
+
+// One-line summary of a chat's latest message for the chat list
+const LastMessagePreview = ({ message, senderName }) => {
+  if (message.deletedForEveryone) {
+    return (
+      <span className="flex items-center gap-1 italic">
+        <Ban className="w-3 h-3 flex-shrink-0" />
+        This message was deleted
+      </span>
+    );
+  }
+
+  return (
+    <span className="flex items-center gap-1 min-w-0">
+      {senderName && <span className="flex-shrink-0">{senderName}:</span>}
+      {message.image && <Image className="w-3 h-3 flex-shrink-0" />}
+      {message.audio && <Mic className="w-3 h-3 flex-shrink-0" />}
+      <span className="truncate">
+        {message.text || (message.image ? "Photo" : message.audio ? "Voice message" : "")}
+      </span>
+    </span>
+  );
+};
+
+export default LastMessagePreview;
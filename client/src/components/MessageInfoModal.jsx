@@ -0,0 +1,111 @@
+import { useEffect, useState } from "react";
+import { Check, CheckCheck, Info, Pencil, X } from "lucide-react";
+import { axiosInstance } from "../lib/axios";
+import { formatDateTime } from "../lib/utils";
+
+const ReceiptRow = ({ icon, label, at }) => (
+  <div className="flex items-center justify-between py-2">
+    <span className="flex items-center gap-2 text-sm">
+      {icon}
+      {label}
+    </span>
+    <span className="text-sm text-base-content/70">{at ? formatDateTime(at) : "—"}</span>
+  </div>
+);
+
+const MessageInfoModal = ({ message, onClose }) => {
+  const [info, setInfo] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchInfo = async () => {
+      try {
+        const res = await axiosInstance.get(`/messages/${message._id}/info`);
+        setInfo(res.data);
+      } catch (error) {
+        console.error("Error fetching message info:", error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    fetchInfo();
+  }, [message._id]);
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-md p-0 flex flex-col max-h-[80vh]">
+        <div className="px-4 py-3 border-b border-base-300 flex items-center justify-between">
+          <h3 className="font-bold text-lg flex items-center gap-2">
+            <Info className="w-5 h-5" />
+            Message info
+          </h3>
+          <button onClick={onClose} className="btn btn-ghost btn-sm btn-circle">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        <div className="p-4 border-b border-base-300">
+          <div className="chat chat-end">
+            <div className="chat-bubble">
+              {message.image && <img src={message.image} alt="Attachment" className="max-w-[160px] rounded-md mb-1" />}
+              {message.audio && <p className="italic opacity-70">Voice message</p>}
+              {message.text && <p>{message.text}</p>}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 py-2">
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <span className="loading loading-spinner"></span>
+            </div>
+          ) : !info ? (
+            <p className="text-sm text-base-content/60 py-6 text-center">Info is not available</p>
+          ) : info.recipients ? (
+            info.recipients.map(({ user, deliveredAt, readAt }) => (
+              <div key={user._id} className="py-2 border-b border-base-200 last:border-0">
+                <div className="flex items-center gap-3 mb-1">
+                  <img
+                    src={user.profilePic || "/avatar.png"}
+                    alt={user.fullName}
+                    className="w-8 h-8 rounded-full object-cover"
+                  />
+                  <span className="font-medium truncate">{user.fullName}</span>
+                </div>
+                <ReceiptRow icon={<CheckCheck className="w-4 h-4 text-blue-500" />} label="Read" at={readAt} />
+                <ReceiptRow icon={<CheckCheck className="w-4 h-4" />} label="Delivered" at={deliveredAt} />
+              </div>
+            ))
+          ) : (
+            <>
+              <ReceiptRow icon={<CheckCheck className="w-4 h-4 text-blue-500" />} label="Read" at={info.readAt} />
+              <ReceiptRow icon={<CheckCheck className="w-4 h-4" />} label="Delivered" at={info.deliveredAt} />
+              <ReceiptRow icon={<Check className="w-4 h-4" />} label="Sent" at={info.sentAt} />
+            </>
+          )}
+          {info?.recipients && (
+            <ReceiptRow icon={<Check className="w-4 h-4" />} label="Sent" at={info.sentAt} />
+          )}
+
+          {info?.editHistory?.length > 0 && (
+            <div className="mt-2 pt-2 border-t border-base-300">
+              <p className="text-sm font-medium flex items-center gap-2 mb-1">
+                <Pencil className="w-4 h-4" />
+                Edit history
+              </p>
+              {info.editHistory.map((revision, index) => (
+                <div key={index} className="py-1 flex justify-between gap-3 text-sm">
+                  <span className="line-through opacity-70 break-words min-w-0">{revision.text}</span>
+                  <span className="text-base-content/60 flex-shrink-0">{formatDateTime(revision.editedAt)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default MessageInfoModal;
@@ -1,8 +1,14 @@
-import { useRef, useState, useEffect } from "react";
+import { useRef, useState, useEffect, useCallback } from "react";
 import { useChatStore } from "../store/useChatStore";
-import { Image, Send, X, Smile, Mic, Square, Trash2 } from "lucide-react";
+import { Image, Send, X, Smile, Mic, Square, Trash2, Pencil } from "lucide-react";
 import toast from "react-hot-toast";
 import Picker from "emoji-picker-react";
+import QuotedMessage from "./QuotedMessage";
+import { useAuthStore } from "../store/useAuthStore";
+
+// Indicators are re-sent at most this often while active, well within the server's expiry
+const TYPING_THROTTLE_MS = 2000;
+const TYPING_IDLE_MS = 3000;
 
 const MessageInput = () => {
   const [text, setText] = useState("");
@@ -18,8 +24,73 @@ const MessageInput = () => {
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
   const recordingTimerRef = useRef(null);
+  const indicatorRef = useRef(null); // {event, chat, sentAt} of the last typing/recording emit
+  const typingIdleTimerRef = useRef(null);
+
+  const {
+    sendMessage,
+    replyingTo,
+    setReplyingTo,
+    editingMessage,
+    setEditingMessage,
+    editMessage,
+    selectedUser,
+    emitTyping,
+  } = useChatStore();
+  const { authUser } = useAuthStore();
+
+  const getReplySenderName = () => {
+    if (replyingTo.senderId === authUser._id) return "You";
+    if (!selectedUser.isGroup) return selectedUser.fullName;
+    return selectedUser.members.find((m) => m.user._id === replyingTo.senderId)?.user.fullName;
+  };
+
+  // Editing puts the message's current text into the input
+  useEffect(() => {
+    setText(editingMessage ? editingMessage.text : "");
+  }, [editingMessage]);
+
+  const signalIndicator = (event) => {
+    const current = indicatorRef.current;
+    const now = Date.now();
+    if (
+      current?.event === event &&
+      current.chat._id === selectedUser._id &&
+      now - current.sentAt < TYPING_THROTTLE_MS
+    ) {
+      return;
+    }
+
+    emitTyping(event, selectedUser);
+    indicatorRef.current = { event, chat: selectedUser, sentAt: now };
+  };
+
+  const clearIndicator = useCallback(() => {
+    clearTimeout(typingIdleTimerRef.current);
+    if (!indicatorRef.current) return;
 
-  const { sendMessage } = useChatStore();
+    emitTyping("stopTyping", indicatorRef.current.chat);
+    indicatorRef.current = null;
+  }, [emitTyping]);
+
+  // Leaving a chat stops whatever indicator we were showing there
+  useEffect(() => clearIndicator, [selectedUser._id, clearIndicator]);
+
+  const handleTextChange = (e) => {
+    setText(e.target.value);
+    if (!e.target.value) {
+      clearIndicator();
+      return;
+    }
+
+    signalIndicator("typing");
+    clearTimeout(typingIdleTimerRef.current);
+    typingIdleTimerRef.current = setTimeout(clearIndicator, TYPING_IDLE_MS);
+  };
+
+  const cancelEditing = () => {
+    setEditingMessage(null);
+  };
 
   // Close emoji picker when clicking outside
   useEffect(() => {
@@ -69,10 +140,13 @@ const MessageInput = () => {
       mediaRecorder.start();
       setIsRecording(true);
       setRecordingDuration(0);
+      clearTimeout(typingIdleTimerRef.current);
+      signalIndicator("recordingAudio");
 
-      // Start duration timer
+      // Start duration timer; also keeps the recording indicator alive
       recordingTimerRef.current = setInterval(() => {
         setRecordingDuration((prev) => prev + 1);
+        signalIndicator("recordingAudio");
       }, 1000);
 
     } catch (error) {
@@ -87,6 +161,7 @@ const MessageInput = () => {
     }
     clearInterval(recordingTimerRef.current);
     setIsRecording(false);
+    clearIndicator();
   };
 
   const cancelRecording = () => {
@@ -95,6 +170,7 @@ const MessageInput = () => {
     }
     clearInterval(recordingTimerRef.current);
     setIsRecording(false);
+    clearIndicator();
     setAudioBlob(null);
     setAudioPreview(null);
     setRecordingDuration(0);
@@ -153,9 +229,12 @@ const MessageInput = () => {
   const handleSendMessage = async (e) => {
     e.preventDefault();
     if (!text.trim() && !imagePreview && !audioBlob) return;
+    clearIndicator();
 
     try {
-      if (audioBlob) {
+      if (editingMessage) {
+        await editMessage(editingMessage._id, text.trim());
+      } else if (audioBlob) {
         await sendAudioMessage();
       } else {
         await sendMessage({
@@ -175,6 +254,38 @@ const MessageInput = () => {
 
   return (
     <div className="p-4 w-full relative">
+      {/* Edit Preview */}
+      {editingMessage && (
+        <div className="mb-3 flex items-center gap-2 border-l-4 border-primary bg-base-200 rounded-md px-3 py-2">
+          <Pencil className="w-4 h-4 text-primary" />
+          <div className="flex-1 min-w-0">
+            <p className="text-xs font-semibold text-primary">Edit message</p>
+            <p className="text-xs opacity-70 truncate">{editingMessage.text}</p>
+          </div>
+          <button
+            onClick={cancelEditing}
+            className="p-1 rounded-full hover:bg-base-300 transition-colors"
+            type="button"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {/* Reply Preview */}
+      {replyingTo && (
+        <div className="mb-3 flex items-center gap-2">
+          <QuotedMessage message={replyingTo} senderName={getReplySenderName()} className="flex-1" />
+          <button
+            onClick={() => setReplyingTo(null)}
+            className="p-1 rounded-full hover:bg-base-300 transition-colors"
+            type="button"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
       {/* Image Preview */}
       {imagePreview && (
         <div className="mb-3 flex items-center gap-2">
@@ -245,7 +356,7 @@ const MessageInput = () => {
             className="w-full input input-bordered rounded-lg input-sm sm:input-md"
             placeholder={isRecording ? "Recording audio..." : "Type a message..."}
             value={text}
-            onChange={(e) => setText(e.target.value)}
+            onChange={handleTextChange}
             disabled={isRecording || audioBlob}
           />
           <input
@@ -261,7 +372,7 @@ const MessageInput = () => {
             className={`hidden sm:flex btn btn-circle
                      ${imagePreview ? "text-emerald-500" : "text-zinc-400"}`}
             onClick={() => fileInputRef.current?.click()}
-            disabled={isRecording || audioBlob}
+            disabled={isRecording || audioBlob || editingMessage}
           >
             <Image size={20} />
           </button>
@@ -277,7 +388,7 @@ const MessageInput = () => {
           </button>
 
           {/* Voice Recording Button */}
-          {!isRecording && !audioBlob && (
+          {!isRecording && !audioBlob && !editingMessage && (
             <button
               type="button"
               className="hidden sm:flex btn btn-circle text-zinc-400 hover:text-primary"
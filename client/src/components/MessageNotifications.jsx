@@ -0,0 +1,147 @@
+import { useEffect } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import toast from "react-hot-toast";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { useNotificationStore } from "../store/useNotificationStore";
+import { getMessagePreviewText, playNotificationSound, shouldNotify } from "../lib/notifications";
+
+const MessageToast = ({ visible, icon, title, body, onOpen, onDismiss }) => (
+  <div
+    className={`${visible ? "opacity-100" : "opacity-0"} transition-opacity w-80 bg-base-100 border border-base-300 shadow-lg rounded-lg flex items-center`}
+  >
+    <button onClick={onOpen} className="flex-1 flex items-center gap-3 p-3 min-w-0 text-left">
+      <img src={icon} alt={title} className="w-10 h-10 object-cover rounded-full flex-shrink-0" />
+      <div className="min-w-0">
+        <p className="font-medium truncate">{title}</p>
+        <p className="text-sm text-base-content/70 truncate">{body}</p>
+      </div>
+    </button>
+    <button onClick={onDismiss} className="px-3 self-stretch border-l border-base-300 text-sm text-base-content/60">
+      Close
+    </button>
+  </div>
+);
+
+const findChat = (chatId) => {
+  const { users, groups } = useChatStore.getState();
+  return groups.find((g) => g._id === chatId) || users.find((u) => u._id === chatId);
+};
+
+const openChat = async (chatId, navigate) => {
+  let chat = findChat(chatId);
+  if (!chat) {
+    // A first message from someone new, or the lists haven't loaded because the
+    // app was opened on another page
+    const { getUsers, getGroups } = useChatStore.getState();
+    await Promise.all([getUsers(), getGroups()]);
+    chat = findChat(chatId);
+  }
+  if (!chat) return;
+
+  useChatStore.getState().setSelectedUser(chat);
+  navigate("/");
+};
+
+// Announces messages arriving in chats the user isn't looking at, on every page: a
+// system notification while the tab is hidden, an in-app toast otherwise. Also opens
+// the chat of a clicked push notification (see public/sw.js).
+const MessageNotifications = () => {
+  const { socket } = useAuthStore();
+  const { getChatSettings, subscribeToChatSettings, unsubscribeFromChatSettings, initPush } =
+    useNotificationStore();
+  const navigate = useNavigate();
+  const { pathname, search } = useLocation();
+
+  // Whichever page the app was opened on, mutes have to apply and this browser's push
+  // subscription has to belong to the user now logged in
+  useEffect(() => {
+    getChatSettings();
+    initPush();
+  }, [getChatSettings, initPush]);
+
+  // A push notification clicked while the app was closed opens it at /?chat=<id>
+  useEffect(() => {
+    const chatId = new URLSearchParams(search).get("chat");
+    if (chatId) openChat(chatId, navigate);
+  }, [search, navigate]);
+
+  // ...and one clicked while it was open posts a message from the service worker
+  useEffect(() => {
+    if (!("serviceWorker" in navigator)) return;
+
+    const handleWorkerMessage = (event) => {
+      if (event.data?.type === "openChat") openChat(event.data.chatId, navigate);
+    };
+    navigator.serviceWorker.addEventListener("message", handleWorkerMessage);
+    return () => navigator.serviceWorker.removeEventListener("message", handleWorkerMessage);
+  }, [navigate]);
+
+  useEffect(() => {
+    subscribeToChatSettings();
+    return () => unsubscribeFromChatSettings();
+  }, [socket, subscribeToChatSettings, unsubscribeFromChatSettings]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleNewMessage = (message) => {
+      const authUser = useAuthStore.getState().authUser;
+      if (message.senderId === authUser._id) return;
+
+      const chatId = message.groupId || message.senderId;
+      const isChatVisible =
+        !document.hidden && pathname === "/" && useChatStore.getState().selectedUser?._id === chatId;
+      if (isChatVisible) return;
+
+      const settings = useNotificationStore.getState().getSettingsFor(chatId);
+      if (!shouldNotify(settings, message, authUser)) return;
+
+      const chat = findChat(chatId);
+      const sender = message.groupId
+        ? chat?.members.find((m) => m.user._id === message.senderId)?.user
+        : chat;
+      const title = chat ? (chat.isGroup ? chat.name : chat.fullName) : "New message";
+      const preview = getMessagePreviewText(message);
+      const body = message.groupId && sender ? `${sender.fullName.split(" ")[0]}: ${preview}` : preview;
+      const icon = sender?.profilePic || "/avatar.png";
+
+      playNotificationSound(settings.sound);
+
+      if (document.hidden && useNotificationStore.getState().notificationPermission === "granted") {
+        // Silent because the chat's own sound has just played; the tag keeps one popup per chat
+        const notification = new Notification(title, { body, icon, tag: chatId, silent: true });
+        notification.onclick = () => {
+          window.focus();
+          openChat(chatId, navigate);
+          notification.close();
+        };
+        return;
+      }
+
+      toast.custom(
+        (t) => (
+          <MessageToast
+            visible={t.visible}
+            icon={icon}
+            title={title}
+            body={body}
+            onOpen={() => {
+              toast.dismiss(t.id);
+              openChat(chatId, navigate);
+            }}
+            onDismiss={() => toast.dismiss(t.id)}
+          />
+        ),
+        { id: `message:${chatId}`, position: "top-right" }
+      );
+    };
+
+    socket.on("newMessage", handleNewMessage);
+    return () => socket.off("newMessage", handleNewMessage);
+  }, [socket, pathname, navigate]);
+
+  return null;
+};
+
+export default MessageNotifications;
@@ -0,0 +1,39 @@
+// Reaction chips under a bubble, one per emoji; hovering lists who reacted
+const MessageReactions = ({ reactions, myId, getUserName, onToggle }) => {
+  if (!reactions?.length) return null;
+
+  const groups = [];
+  for (const reaction of reactions) {
+    let group = groups.find((g) => g.emoji === reaction.emoji);
+    if (!group) {
+      group = { emoji: reaction.emoji, userIds: [] };
+      groups.push(group);
+    }
+    group.userIds.push(reaction.userId);
+  }
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {groups.map(({ emoji, userIds }) => {
+        const reactedByMe = userIds.includes(myId);
+        return (
+          <button
+            key={emoji}
+            onClick={() => onToggle(emoji)}
+            title={userIds.map(getUserName).join(", ")}
+            className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-sm border transition-colors ${
+              reactedByMe
+                ? "bg-primary/20 border-primary/50"
+                : "bg-base-200 border-base-300 hover:bg-base-300"
+            }`}
+          >
+            <span>{emoji}</span>
+            {userIds.length > 1 && <span className="text-xs">{userIds.length}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MessageReactions;
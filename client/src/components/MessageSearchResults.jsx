@@ -0,0 +1,115 @@
+import { useEffect, useState } from "react";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { formatMessageTime } from "../lib/utils";
+
+// Searches one chat (or every chat when `chat` is omitted) as the query changes.
+// Snippets come from the server as plain/matched segments.
+const MessageSearchResults = ({ query, chat, onSelect, showChat = false }) => {
+  const { authUser } = useAuthStore();
+  const { searchMessages } = useChatStore();
+  const [results, setResults] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  const trimmedQuery = query.trim();
+
+  // Debounce so every keystroke doesn't hit the server
+  useEffect(() => {
+    setResults([]);
+    setHasMore(false);
+    if (trimmedQuery.length < 2) return;
+
+    setIsSearching(true);
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      const data = await searchMessages(trimmedQuery, chat);
+      if (cancelled) return;
+      setIsSearching(false);
+      if (!data) return;
+      setResults(data.results);
+      setPage(data.page);
+      setHasMore(data.hasMore);
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [trimmedQuery, chat, searchMessages]);
+
+  const loadMore = async () => {
+    const data = await searchMessages(trimmedQuery, chat, page + 1);
+    if (!data) return;
+    setResults((prev) => [...prev, ...data.results]);
+    setPage(data.page);
+    setHasMore(data.hasMore);
+  };
+
+  const getChatTitle = (msg) => {
+    const sender = msg.senderId._id === authUser._id ? "You" : msg.senderId.fullName;
+    if (!showChat) return sender;
+    if (msg.groupId) return `${sender} @ ${msg.groupId.name}`;
+    const receiver = msg.receiverId._id === authUser._id ? "You" : msg.receiverId.fullName;
+    return `${sender} ▸ ${receiver}`;
+  };
+
+  if (trimmedQuery.length < 2) return null;
+
+  if (isSearching && results.length === 0) {
+    return (
+      <div className="flex justify-center py-4">
+        <span className="loading loading-spinner loading-sm"></span>
+      </div>
+    );
+  }
+
+  if (results.length === 0) {
+    return <p className="text-center text-sm text-base-content/50 py-4">No messages found</p>;
+  }
+
+  return (
+    <>
+      {results.map((msg) => (
+        <button
+          key={msg._id}
+          onClick={() => onSelect(msg)}
+          className="w-full px-4 py-2.5 flex items-start gap-3 hover:bg-base-300 transition-colors border-b border-base-200 text-left"
+        >
+          <img
+            src={msg.senderId.profilePic || "/avatar.png"}
+            alt={msg.senderId.fullName}
+            className="w-8 h-8 object-cover rounded-full"
+          />
+          <div className="flex-1 min-w-0">
+            <div className="flex items-center justify-between gap-2">
+              <p className="text-sm font-medium truncate">{getChatTitle(msg)}</p>
+              <span className="text-xs text-base-content/60 flex-shrink-0">
+                {new Date(msg.createdAt).toLocaleDateString()} {formatMessageTime(msg.createdAt)}
+              </span>
+            </div>
+            <p className="text-sm text-base-content/70 break-words line-clamp-2">
+              {msg.snippet.map((segment, index) =>
+                segment.match ? (
+                  <mark key={index} className="bg-primary/30 text-base-content rounded px-0.5">
+                    {segment.text}
+                  </mark>
+                ) : (
+                  <span key={index}>{segment.text}</span>
+                )
+              )}
+            </p>
+          </div>
+        </button>
+      ))}
+
+      {hasMore && (
+        <button onClick={loadMore} className="btn btn-ghost btn-sm w-full">
+          Load more
+        </button>
+      )}
+    </>
+  );
+};
+
+export default MessageSearchResults;
@@ -0,0 +1,50 @@
+import { useState } from "react";
+import { useNotificationStore } from "../store/useNotificationStore";
+import { MUTE_OPTIONS } from "../lib/notifications";
+
+const MuteChatModal = ({ chatId, onClose }) => {
+  const { updateChatSettings } = useNotificationStore();
+  const [mute, setMute] = useState(MUTE_OPTIONS[0].value);
+
+  const handleMute = async () => {
+    if (await updateChatSettings(chatId, { mute })) onClose();
+  };
+
+  return (
+    <div className="modal modal-open">
+      <div className="modal-box max-w-sm">
+        <h3 className="font-bold text-lg">Mute notifications</h3>
+        <p className="text-sm text-base-content/70 mt-2">
+          Other people in the chat won&apos;t see that you muted it.
+        </p>
+
+        <div className="mt-4 flex flex-col gap-1">
+          {MUTE_OPTIONS.map((option) => (
+            <label key={option.value} className="label cursor-pointer justify-start gap-3">
+              <input
+                type="radio"
+                name="mute"
+                className="radio radio-sm radio-primary"
+                checked={mute === option.value}
+                onChange={() => setMute(option.value)}
+              />
+              <span className="label-text">{option.label}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="mt-4 flex justify-end gap-2">
+          <button onClick={onClose} className="btn btn-ghost btn-sm">
+            Cancel
+          </button>
+          <button onClick={handleMute} className="btn btn-primary btn-sm">
+            Mute
+          </button>
+        </div>
+      </div>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default MuteChatModal;
@@ -0,0 +1,45 @@
+import { Ban, Image, Mic } from "lucide-react";
+import { formatDuration } from "../lib/utils";
+
+// Compact preview of a message being replied to (in a bubble or above the input)
+const QuotedMessage = ({ message, senderName, onClick, className = "" }) => {
+  return (
+    <div
+      onClick={onClick}
+      className={`flex items-center gap-2 border-l-4 border-primary bg-base-content/10 rounded-md px-2 py-1 ${
+        onClick ? "cursor-pointer hover:bg-base-content/20" : ""
+      } ${className}`}
+    >
+      <div className="flex-1 min-w-0">
+        <p className="text-xs font-semibold text-primary truncate">{senderName}</p>
+        <p className="text-xs opacity-70 truncate flex items-center gap-1">
+          {message.deletedForEveryone && (
+            <>
+              <Ban className="w-3 h-3" />
+              <span className="italic">This message was deleted</span>
+            </>
+          )}
+          {message.image && !message.text && (
+            <>
+              <Image className="w-3 h-3" />
+              Photo
+            </>
+          )}
+          {message.audio && (
+            <>
+              <Mic className="w-3 h-3" />
+              Voice message
+              {message.audioDuration ? ` (${formatDuration(message.audioDuration)})` : ""}
+            </>
+          )}
+          {message.text}
+        </p>
+      </div>
+      {message.image && (
+        <img src={message.image} alt="Attachment" className="w-10 h-10 object-cover rounded" />
+      )}
+    </div>
+  );
+};
+
+export default QuotedMessage;
@@ -0,0 +1,72 @@
+import { useState } from "react";
+import { useAuthStore } from "../store/useAuthStore";
+import { useContactStore } from "../store/useContactStore";
+
+// Reports a user, with a single picked message as evidence or, from the chat menu,
+// their latest messages to us
+const ReportModal = ({ user, message, onClose }) => {
+  const { authUser } = useAuthStore();
+  const { reportUser, blockUser } = useContactStore();
+  const isBlocked = authUser.blockedUsers?.includes(user._id);
+  const [reason, setReason] = useState("");
+  const [alsoBlock, setAlsoBlock] = useState(!isBlocked);
+  const [isSending, setIsSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSending(true);
+    const sent = await reportUser(user._id, {
+      messageIds: message ? [message._id] : undefined,
+      reason: reason.trim(),
+    });
+    if (sent && alsoBlock) await blockUser(user._id);
+    setIsSending(false);
+    if (sent) onClose();
+  };
+
+  return (
+    <div className="modal modal-open">
+      <form onSubmit={handleSubmit} className="modal-box max-w-sm">
+        <h3 className="font-bold text-lg">Report {user.fullName}?</h3>
+        <p className="text-sm text-base-content/70 mt-2">
+          {message
+            ? "This message will be sent to our moderators with your report."
+            : `The last messages from ${user.fullName} will be sent to our moderators with your report.`}
+        </p>
+
+        <textarea
+          className="textarea textarea-bordered w-full mt-4"
+          placeholder="What happened? (optional)"
+          maxLength={500}
+          rows={3}
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+        />
+
+        {!isBlocked && (
+          <label className="label cursor-pointer justify-start gap-3">
+            <input
+              type="checkbox"
+              className="checkbox checkbox-sm"
+              checked={alsoBlock}
+              onChange={(e) => setAlsoBlock(e.target.checked)}
+            />
+            <span className="label-text">Also block {user.fullName}</span>
+          </label>
+        )}
+
+        <div className="mt-4 flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="btn btn-ghost btn-sm">
+            Cancel
+          </button>
+          <button type="submit" className="btn btn-error btn-sm" disabled={isSending}>
+            {isSending ? "Sending..." : "Report"}
+          </button>
+        </div>
+      </form>
+      <div className="modal-backdrop" onClick={onClose} />
+    </div>
+  );
+};
+
+export default ReportModal;
@@ -1,19 +1,73 @@
 import { useEffect, useState, useRef } from "react";
+import { useNavigate } from "react-router-dom";
 import { useChatStore } from "../store/useChatStore";
 import { useAuthStore } from "../store/useAuthStore";
+import { useContactStore } from "../store/useContactStore";
+import { useNotificationStore } from "../store/useNotificationStore";
 import SidebarSkeleton from "./skeletons/SidebarSkeleton";
-import { Search, MessageCircle, MoreVertical, Users, Star, CheckSquare, CheckCheck, Lock, LogOut } from "lucide-react";
+import CreateGroupModal from "./CreateGroupModal";
+import ContactsModal from "./ContactsModal";
+import MessageSearchResults from "./MessageSearchResults";
+import LastMessagePreview from "./LastMessagePreview";
+import { formatChatListTime, formatLastSeen } from "../lib/utils";
+import { isChatMuted } from "../lib/notifications";
+import { Search, MessageCircle, MoreVertical, Users, UserPlus, Star, CheckSquare, CheckCheck, Lock, LogOut, Ban, BellOff, BellRing, X } from "lucide-react";
 
 const Sidebar = () => {
-  const { getUsers, users, selectedUser, setSelectedUser, isUsersLoading } = useChatStore();
-  const { onlineUsers, logout } = useAuthStore();
+  const {
+    getUsers,
+    users,
+    getGroups,
+    groups,
+    subscribeToGroups,
+    unsubscribeFromGroups,
+    subscribeToSync,
+    unsubscribeFromSync,
+    conversations,
+    subscribeToConversations,
+    unsubscribeFromConversations,
+    markAllChatsAsRead,
+    selectedUser,
+    setSelectedUser,
+    openMessageInChat,
+    isUsersLoading,
+  } = useChatStore();
+  const { authUser, onlineUsers, presence, lastSeen, logout, socket } = useAuthStore();
+  const { incomingRequests, getContacts, subscribeToContacts, unsubscribeFromContacts } = useContactStore();
+  const { chatSettings, notificationPermission, requestNotificationPermission } = useNotificationStore();
   const [searchQuery, setSearchQuery] = useState("");
   const [showMenu, setShowMenu] = useState(false);
+  const [showCreateGroup, setShowCreateGroup] = useState(false);
+  const [showContacts, setShowContacts] = useState(false);
+  const [hideNotificationPrompt, setHideNotificationPrompt] = useState(false);
   const menuRef = useRef(null);
+  const navigate = useNavigate();
 
   useEffect(() => {
     getUsers();
-  }, [getUsers]);
+    getGroups();
+    getContacts();
+  }, [getUsers, getGroups, getContacts]);
+
+  useEffect(() => {
+    subscribeToContacts();
+    return () => unsubscribeFromContacts();
+  }, [socket, subscribeToContacts, unsubscribeFromContacts]);
+
+  useEffect(() => {
+    subscribeToGroups();
+    return () => unsubscribeFromGroups();
+  }, [socket, subscribeToGroups, unsubscribeFromGroups]);
+
+  useEffect(() => {
+    subscribeToSync();
+    return () => unsubscribeFromSync();
+  }, [socket, subscribeToSync, unsubscribeFromSync]);
+
+  useEffect(() => {
+    subscribeToConversations();
+    return () => unsubscribeFromConversations();
+  }, [socket, subscribeToConversations, unsubscribeFromConversations]);
 
   // Close menu when clicking outside
   useEffect(() => {
@@ -33,12 +87,43 @@ const Sidebar = () => {
     setShowMenu(false);
   };
 
-  // Filter users - online only + search filter
-  const filteredUsers = users.filter((user) => {
-    const isOnline = onlineUsers.includes(user._id);
-    const matchesSearch = user.fullName?.toLowerCase().includes(searchQuery.toLowerCase());
-    return isOnline && matchesSearch;
-  });
+  const matchesSearch = (name) => name?.toLowerCase().includes(searchQuery.toLowerCase());
+
+  // Groups, contacts and people we've talked to (online or not), most recent activity first
+  const getLastActivity = (chat) =>
+    new Date(conversations[chat._id]?.lastMessage?.createdAt || 0).getTime();
+  const chats = [
+    ...groups.filter((group) => matchesSearch(group.name)),
+    ...users.filter((user) => matchesSearch(user.fullName)),
+  ].sort((a, b) => getLastActivity(b) - getLastActivity(a));
+
+  const getPreviewSenderName = (chat, message) => {
+    if (message.senderId === authUser._id) return "You";
+    if (!chat.isGroup) return null;
+    const member = chat.members.find((m) => (m.user._id || m.user) === message.senderId);
+    return member?.user.fullName?.split(" ")[0];
+  };
+
+  // Live updates win over the value loaded with the user list, as in ChatHeader
+  const getLastSeenText = (user) => {
+    const seen = user._id in lastSeen ? lastSeen[user._id] : user.lastSeen;
+    return seen ? formatLastSeen(seen) : "Offline";
+  };
+
+  const handleMarkAllAsRead = () => {
+    markAllChatsAsRead();
+    setShowMenu(false);
+  };
+
+  const handleContacts = () => {
+    setShowContacts(true);
+    setShowMenu(false);
+  };
+
+  const handleNewGroup = () => {
+    setShowCreateGroup(true);
+    setShowMenu(false);
+  };
 
   if (isUsersLoading) return <SidebarSkeleton />;
 
@@ -48,26 +133,48 @@ const Sidebar = () => {
       <div className="bg-base-100 px-4 py-4 border-b border-base-300 flex items-center justify-between">
         <div>
           <h2 className="text-xl font-bold text-base-content">Chats</h2>
-          <p className="text-xs text-base-content/60 mt-1">{onlineUsers.length - 1} contacts online</p>
+          <p className="text-xs text-base-content/60 mt-1">
+            {users.filter((user) => onlineUsers.includes(user._id)).length} contacts online
+          </p>
         </div>
 
         {/* Dropdown Menu */}
         <div className="relative" ref={menuRef}>
           <button
             onClick={() => setShowMenu(!showMenu)}
-            className="p-2 rounded-full hover:bg-base-200 transition-colors"
+            className="relative p-2 rounded-full hover:bg-base-200 transition-colors"
           >
             <MoreVertical className="w-5 h-5 text-base-content" />
+            {incomingRequests.length > 0 && (
+              <span className="absolute top-1 right-1 w-2 h-2 rounded-full bg-primary" />
+            )}
           </button>
 
           {showMenu && (
             <div className="absolute right-0 top-full mt-1 w-56 bg-base-100 rounded-lg shadow-xl border border-base-300 z-50 py-1">
-              <button className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-base-200 transition-colors text-left">
+              <button
+                onClick={handleNewGroup}
+                className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-base-200 transition-colors text-left"
+              >
                 <Users className="w-4 h-4 text-base-content/70" />
                 <span className="text-sm text-base-content">New group</span>
               </button>
 
-              <button className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-base-200 transition-colors text-left">
+              <button
+                onClick={handleContacts}
+                className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-base-200 transition-colors text-left"
+              >
+                <UserPlus className="w-4 h-4 text-base-content/70" />
+                <span className="text-sm text-base-content flex-1">Contacts</span>
+                {incomingRequests.length > 0 && (
+                  <span className="badge badge-primary badge-sm">{incomingRequests.length}</span>
+                )}
+              </button>
+
+              <button
+                onClick={() => navigate("/starred")}
+                className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-base-200 transition-colors text-left"
+              >
                 <Star className="w-4 h-4 text-base-content/70" />
                 <span className="text-sm text-base-content">Starred messages</span>
               </button>
@@ -77,7 +184,10 @@ const Sidebar = () => {
                 <span className="text-sm text-base-content">Select chats</span>
               </button>
 
-              <button className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-base-200 transition-colors text-left">
+              <button
+                onClick={handleMarkAllAsRead}
+                className="w-full px-4 py-2.5 flex items-center gap-3 hover:bg-base-200 transition-colors text-left"
+              >
                 <CheckCheck className="w-4 h-4 text-base-content/70" />
                 <span className="text-sm text-base-content">Mark all as read</span>
               </button>
@@ -101,6 +211,22 @@ const Sidebar = () => {
         </div>
       </div>
 
+      {notificationPermission === "default" && !hideNotificationPrompt && (
+        <div className="px-4 py-3 bg-primary/10 border-b border-base-300 flex items-center gap-3">
+          <BellRing className="w-5 h-5 text-primary flex-shrink-0" />
+          <button onClick={requestNotificationPermission} className="flex-1 text-left min-w-0">
+            <p className="text-sm font-medium">Get notified of new messages</p>
+            <p className="text-xs text-base-content/60 underline">Turn on desktop notifications</p>
+          </button>
+          <button
+            onClick={() => setHideNotificationPrompt(true)}
+            className="p-1 rounded-full hover:bg-base-200 flex-shrink-0"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
       {/* Search Bar */}
       <div className="px-4 py-3 bg-base-100 border-b border-base-300">
         <div className="relative">
@@ -117,46 +243,122 @@ const Sidebar = () => {
 
       {/* Chat List */}
       <div className="flex-1 overflow-y-auto">
-        {filteredUsers.map((user) => (
-          <button
-            key={user._id}
-            onClick={() => setSelectedUser(user)}
-            className={`
-              w-full px-4 py-3 flex items-center gap-3
-              hover:bg-base-300 transition-colors border-b border-base-200
-              ${selectedUser?._id === user._id ? "bg-base-300" : ""}
-            `}
-          >
-            <div className="relative">
-              <img
-                src={user.profilePic || "/avatar.png"}
-                alt={user.name}
-                className="w-12 h-12 object-cover rounded-full"
-              />
-              <span
-                className="absolute bottom-0 right-0 w-3 h-3 bg-green-500 
-                rounded-full ring-2 ring-base-100"
-              />
-            </div>
+        {chats.map((chat) => {
+          const lastMessage = conversations[chat._id]?.lastMessage;
+          const unreadCount = conversations[chat._id]?.unreadCount || 0;
+          const isOnline = !chat.isGroup && onlineUsers.includes(chat._id);
+          const isMuted = isChatMuted(chatSettings[chat._id]);
 
-            <div className="flex-1 text-left min-w-0">
-              <div className="font-medium truncate">{user.fullName}</div>
-              <div className="text-sm text-emerald-500 flex items-center gap-1">
-                <span className="w-2 h-2 bg-green-500 rounded-full"></span>
-                Online
+          return (
+            <button
+              key={chat._id}
+              onClick={() => setSelectedUser(chat)}
+              className={`
+                w-full px-4 py-3 flex items-center gap-3
+                hover:bg-base-300 transition-colors border-b border-base-200
+                ${selectedUser?._id === chat._id ? "bg-base-300" : ""}
+              `}
+            >
+              {chat.isGroup ? (
+                chat.groupPic ? (
+                  <img src={chat.groupPic} alt={chat.name} className="w-12 h-12 object-cover rounded-full" />
+                ) : (
+                  <div className="w-12 h-12 rounded-full bg-primary/20 flex items-center justify-center">
+                    <Users className="w-6 h-6 text-primary" />
+                  </div>
+                )
+              ) : (
+                <div className="relative">
+                  <img
+                    src={chat.profilePic || "/avatar.png"}
+                    alt={chat.fullName}
+                    className="w-12 h-12 object-cover rounded-full"
+                  />
+                  {isOnline && (
+                    <span
+                      className={`absolute bottom-0 right-0 w-3 h-3 rounded-full ring-2 ring-base-100 ${
+                        presence[chat._id] === "away" ? "bg-amber-500" : "bg-green-500"
+                      }`}
+                    />
+                  )}
+                </div>
+              )}
+
+              <div className="flex-1 text-left min-w-0">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="font-medium truncate flex items-center gap-1">
+                    <span className="truncate">{chat.isGroup ? chat.name : chat.fullName}</span>
+                    {authUser.blockedUsers?.includes(chat._id) && (
+                      <span title="Blocked" className="flex-shrink-0">
+                        <Ban className="w-3.5 h-3.5 text-base-content/50" />
+                      </span>
+                    )}
+                  </div>
+                  {lastMessage && (
+                    <span
+                      className={`text-xs flex-shrink-0 ${
+                        unreadCount > 0 && !isMuted ? "text-primary font-semibold" : "text-base-content/60"
+                      }`}
+                    >
+                      {formatChatListTime(lastMessage.createdAt)}
+                    </span>
+                  )}
+                </div>
+
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-sm text-base-content/60 min-w-0 truncate">
+                    {lastMessage ? (
+                      <LastMessagePreview
+                        message={lastMessage}
+                        senderName={getPreviewSenderName(chat, lastMessage)}
+                      />
+                    ) : chat.isGroup ? (
+                      `${chat.members.length} members`
+                    ) : !isOnline ? (
+                      getLastSeenText(chat)
+                    ) : presence[chat._id] === "away" ? (
+                      <span className="text-amber-500">Away</span>
+                    ) : (
+                      <span className="text-emerald-500">Online</span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    {isMuted && <BellOff className="w-3.5 h-3.5 text-base-content/50" />}
+                    {unreadCount > 0 && (
+                      <span className={`badge badge-sm ${isMuted ? "badge-neutral" : "badge-primary"}`}>
+                        {unreadCount}
+                      </span>
+                    )}
+                  </div>
+                </div>
               </div>
+            </button>
+          );
+        })}
+
+        {searchQuery.trim().length >= 2 && (
+          <>
+            <div className="px-4 pt-3 pb-1 text-xs font-semibold uppercase text-base-content/60">
+              Messages
             </div>
-          </button>
-        ))}
+            <MessageSearchResults query={searchQuery} onSelect={openMessageInChat} showChat />
+          </>
+        )}
 
-        {filteredUsers.length === 0 && (
+        {chats.length === 0 && searchQuery.trim().length < 2 && (
           <div className="text-center text-base-content/50 py-8 px-4">
             <MessageCircle className="w-12 h-12 mx-auto mb-2 opacity-50" />
-            <p>No online users found</p>
-            <p className="text-sm mt-1">Search or wait for contacts to come online</p>
+            <p>No chats found</p>
+            <button onClick={handleContacts} className="btn btn-primary btn-sm mt-3">
+              <UserPlus className="w-4 h-4" />
+              Add contacts
+            </button>
           </div>
         )}
       </div>
+
+      {showCreateGroup && <CreateGroupModal onClose={() => setShowCreateGroup(false)} />}
+      {showContacts && <ContactsModal onClose={() => setShowContacts(false)} />}
     </aside>
   );
 };
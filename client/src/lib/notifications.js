@@ -0,0 +1,94 @@
+import { formatDateTime } from "./utils";
+
+export const MUTE_OPTIONS = [
+  { value: "8h", label: "8 hours" },
+  { value: "1w", label: "1 week" },
+  { value: "always", label: "Always" },
+];
+
+// Played with the Web Audio API, so no sound files ship with the app: [frequency Hz, seconds] notes
+const SOUND_NOTES = {
+  default: [[880, 0.12], [1175, 0.18]],
+  chime: [[1047, 0.15], [1319, 0.15], [1568, 0.25]],
+  pop: [[600, 0.06]],
+  bell: [[1568, 0.6]],
+  none: [],
+};
+
+export const NOTIFICATION_SOUNDS = [
+  { value: "default", label: "Default" },
+  { value: "chime", label: "Chime" },
+  { value: "pop", label: "Pop" },
+  { value: "bell", label: "Bell" },
+  { value: "none", label: "None" },
+];
+
+// What push notifications on a device may show
+export const PUSH_PREVIEWS = [
+  { value: "message", label: "Sender and message" },
+  { value: "sender", label: "Sender only" },
+  { value: "none", label: "Nothing" },
+];
+
+// Settings for a chat that never had any saved
+export const DEFAULT_CHAT_SETTINGS = { mutedUntil: null, sound: "default", mentionsOnly: false };
+
+export function isChatMuted(settings) {
+  return !!settings?.mutedUntil && new Date(settings.mutedUntil) > new Date();
+}
+
+// "Always" is stored as a date in year 9999
+export function formatMutedUntil(settings) {
+  const until = new Date(settings.mutedUntil);
+  return until.getFullYear() >= 9999 ? "Muted" : `Muted until ${formatDateTime(until)}`;
+}
+
+// An @mention of the user's full or first name, or a reply to one of their messages
+export function mentionsUser(message, user) {
+  if ((message.replyTo?.senderId?._id || message.replyTo?.senderId) === user._id) return true;
+
+  const text = message.text?.toLowerCase() || "";
+  const fullName = user.fullName.toLowerCase();
+  return text.includes(`@${fullName}`) || text.includes(`@${fullName.split(" ")[0]}`);
+}
+
+// Whether an incoming message should raise a notification under the chat's settings
+export function shouldNotify(settings, message, user) {
+  if (isChatMuted(settings)) return false;
+  return !(message.groupId && settings?.mentionsOnly) || mentionsUser(message, user);
+}
+
+// Plain-text version of the chat list preview, for notification bodies
+export function getMessagePreviewText(message) {
+  if (message.text) return message.text;
+  if (message.image) return "📷 Photo";
+  if (message.audio) return "🎤 Voice message";
+  return "New message";
+}
+
+let audioContext;
+
+export function playNotificationSound(sound = "default") {
+  const notes = SOUND_NOTES[sound] || SOUND_NOTES.default;
+  if (notes.length === 0) return;
+
+  try {
+    audioContext = audioContext || new AudioContext();
+    let startAt = audioContext.currentTime;
+    for (const [frequency, duration] of notes) {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = frequency;
+      // Fade out so notes don't click
+      gain.gain.setValueAtTime(0.2, startAt);
+      gain.gain.exponentialRampToValueAtTime(0.001, startAt + duration);
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start(startAt);
+      oscillator.stop(startAt + duration);
+      startAt += duration;
+    }
+  } catch (error) {
+    // Browsers refuse audio until the user has interacted with the page
+    console.log("Could not play notification sound:", error.message);
+  }
+}
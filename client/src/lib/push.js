@@ -0,0 +1,41 @@
+import { axiosInstance } from "./axios";
+
+export function isPushSupported() {
+  return "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+}
+
+// pushManager.subscribe() wants the base64url VAPID key as bytes
+function decodeKey(base64Url) {
+  const base64 = base64Url.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(base64Url.length / 4) * 4, "=");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+export async function registerServiceWorker() {
+  await navigator.serviceWorker.register("/sw.js");
+  return navigator.serviceWorker.ready;
+}
+
+export async function getPushSubscription() {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+export async function createPushSubscription(publicKey) {
+  const registration = await registerServiceWorker();
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: decodeKey(publicKey),
+  });
+}
+
+// Stops pushes to this browser, on the server and in the browser itself
+export async function removePushSubscription() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+
+  await axiosInstance.delete("/notifications/push/subscriptions", {
+    data: { endpoint: subscription.endpoint },
+  });
+  await subscription.unsubscribe();
+}
@@ -5,3 +5,56 @@ export function formatMessageTime(date) {
     hour12: false,
   });
 }
+
+export function formatDuration(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, "0")}`;
+}
+
+export function formatDateTime(date) {
+  return `${new Date(date).toLocaleDateString()} ${formatMessageTime(date)}`;
+}
+
+// "last seen today at 14:02", "last seen yesterday at 09:15" or with the date for older ones
+export function formatLastSeen(date) {
+  const seen = new Date(date);
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  let day = seen.toLocaleDateString();
+  if (seen.toDateString() === new Date().toDateString()) day = "today";
+  else if (seen.toDateString() === yesterday.toDateString()) day = "yesterday";
+
+  return `last seen ${day} at ${formatMessageTime(seen)}`;
+}
+
+// Chat list timestamps: the time for today, "Yesterday", then the date
+export function formatChatListTime(date) {
+  const time = new Date(date);
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  if (time.toDateString() === new Date().toDateString()) return formatMessageTime(time);
+  if (time.toDateString() === yesterday.toDateString()) return "Yesterday";
+  return time.toLocaleDateString();
+}
+
+// crypto.randomUUID only exists in secure contexts, so plain-http LAN testing gets a random fallback
+export function createClientId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+// Plain-text chat transcript, one "[date time] Sender: text" line per message
+export function formatChatExport(messages) {
+  return messages
+    .map((msg) => {
+      let content = msg.text || "";
+      if (msg.deletedForEveryone) content = "This message was deleted";
+      else if (msg.image) content = `<image: ${msg.image}>${content ? ` ${content}` : ""}`;
+      else if (msg.audio) content = `<voice message: ${msg.audio}>`;
+      return `[${formatDateTime(msg.createdAt)}] ${msg.sender}: ${content}`;
+    })
+    .join("\n");
+}
@@ -1,11 +1,20 @@
 import { useState } from "react";
 import { useAuthStore } from "../store/useAuthStore";
-import { Camera, Mail, User } from "lucide-react";
+import { Camera, Mail, MessageSquareText, Pencil, User } from "lucide-react";
 import LeftNavPanel from "../components/LeftPanel";
 
 const ProfilePage = () => {
-  const { authUser, isUpdatingProfile, updateProfile } = useAuthStore();
+  const { authUser, isUpdatingProfile, updateProfile, updateAbout } = useAuthStore();
   const [selectedImg, setSelectedImg] = useState(null);
+  const [about, setAbout] = useState(null); // Draft while editing, null otherwise
+  const [isSavingAbout, setIsSavingAbout] = useState(false);
+
+  const handleSaveAbout = async (e) => {
+    e.preventDefault();
+    setIsSavingAbout(true);
+    if (await updateAbout(about)) setAbout(null);
+    setIsSavingAbout(false);
+  };
 
   const handleImageUpload = async (e) => {
     const file = e.target.files[0];
@@ -77,6 +86,44 @@ const ProfilePage = () => {
               <p className="px-4 py-2.5 bg-base-200 rounded-lg border">{authUser?.fullName}</p>
             </div>
 
+            <div className="space-y-1.5">
+              <div className="text-sm text-zinc-400 flex items-center gap-2">
+                <MessageSquareText className="w-4 h-4" />
+                About
+              </div>
+              {about === null ? (
+                <div className="px-4 py-2.5 bg-base-200 rounded-lg border flex items-center gap-2">
+                  <p className={`flex-1 ${authUser.about ? "" : "text-zinc-400"}`}>
+                    {authUser.about || "Add a few words about yourself"}
+                  </p>
+                  <button
+                    onClick={() => setAbout(authUser.about || "")}
+                    className="btn btn-ghost btn-xs btn-square"
+                    title="Edit about"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <form onSubmit={handleSaveAbout} className="flex gap-2">
+                  <input
+                    type="text"
+                    className="input input-bordered flex-1"
+                    value={about}
+                    maxLength={140}
+                    onChange={(e) => setAbout(e.target.value)}
+                    autoFocus
+                  />
+                  <button type="button" onClick={() => setAbout(null)} className="btn btn-ghost">
+                    Cancel
+                  </button>
+                  <button type="submit" className="btn btn-primary" disabled={isSavingAbout}>
+                    {isSavingAbout ? "Saving..." : "Save"}
+                  </button>
+                </form>
+              )}
+            </div>
+
             <div className="space-y-1.5">
               <div className="text-sm text-zinc-400 flex items-center gap-2">
                 <Mail className="w-4 h-4" />
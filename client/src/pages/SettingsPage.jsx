@@ -1,5 +1,8 @@
 import { Send } from "lucide-react";
 import LeftNavPanel from "../components/LeftPanel";
+import { useAuthStore } from "../store/useAuthStore";
+import { useNotificationStore } from "../store/useNotificationStore";
+import { PUSH_PREVIEWS } from "../lib/notifications";
 
 const PREVIEW_MESSAGES = [
   { id: 1, content: "Hey! How's it going?", isSent: false },
@@ -7,6 +10,9 @@ const PREVIEW_MESSAGES = [
 ];
 
 const SettingsPage = () => {
+  const { authUser, updatePrivacy } = useAuthStore();
+  const { pushStatus, pushPreview, enablePush, disablePush, setPushPreview } = useNotificationStore();
+
   return (
     <div className="flex h-screen bg-base-100">
       <LeftNavPanel />
@@ -17,6 +23,63 @@ const SettingsPage = () => {
           <p className="text-sm text-base-content/70">Dracula theme is active</p>
         </div>
 
+        <div className="flex flex-col gap-3">
+          <h2 className="text-lg font-semibold">Privacy</h2>
+          <label className="flex items-center justify-between gap-4 max-w-md">
+            <div>
+              <p className="text-sm font-medium">Last seen</p>
+              <p className="text-xs text-base-content/70">Who can see when you were last online</p>
+            </div>
+            <select
+              className="select select-bordered select-sm"
+              value={authUser?.privacy?.lastSeen || "everyone"}
+              onChange={(e) => updatePrivacy({ lastSeen: e.target.value })}
+            >
+              <option value="everyone">Everyone</option>
+              <option value="nobody">Nobody</option>
+            </select>
+          </label>
+        </div>
+
+        <div className="flex flex-col gap-3">
+          <h2 className="text-lg font-semibold">Notifications</h2>
+          <label className="flex items-center justify-between gap-4 max-w-md">
+            <div>
+              <p className="text-sm font-medium">Push notifications</p>
+              <p className="text-xs text-base-content/70">
+                {pushStatus === "unsupported"
+                  ? "Not supported in this browser"
+                  : "Get notified on this device while AlgoChat is closed"}
+              </p>
+            </div>
+            <input
+              type="checkbox"
+              className="toggle toggle-primary toggle-sm"
+              checked={pushStatus === "enabled"}
+              disabled={pushStatus === "unsupported" || pushStatus === "loading"}
+              onChange={(e) => (e.target.checked ? enablePush() : disablePush())}
+            />
+          </label>
+          <label className="flex items-center justify-between gap-4 max-w-md">
+            <div>
+              <p className="text-sm font-medium">Show previews</p>
+              <p className="text-xs text-base-content/70">What push notifications on this device show</p>
+            </div>
+            <select
+              className="select select-bordered select-sm"
+              value={pushPreview}
+              disabled={pushStatus !== "enabled"}
+              onChange={(e) => setPushPreview(e.target.value)}
+            >
+              {PUSH_PREVIEWS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
         {/* Preview Section */}
         <h3 className="text-lg font-semibold mb-3">Preview</h3>
         <div className="rounded-xl border border-base-300 overflow-hidden bg-base-100 shadow-lg">
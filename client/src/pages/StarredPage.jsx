@@ -0,0 +1,135 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuthStore } from "../store/useAuthStore";
+import { useChatStore } from "../store/useChatStore";
+import { axiosInstance } from "../lib/axios";
+import { formatDuration, formatMessageTime } from "../lib/utils";
+import { Star, Music, ChevronRight } from "lucide-react";
+import LeftNavPanel from "../components/LeftPanel";
+
+const StarredPage = () => {
+  const [starredMessages, setStarredMessages] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const { authUser } = useAuthStore();
+  const { openMessageInChat } = useChatStore();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchStarredMessages(1);
+  }, []);
+
+  const fetchStarredMessages = async (pageToLoad) => {
+    try {
+      const res = await axiosInstance.get("/messages/starred", { params: { page: pageToLoad } });
+      setStarredMessages((prev) =>
+        pageToLoad === 1 ? res.data.messages : [...prev, ...res.data.messages]
+      );
+      setPage(res.data.page);
+      setHasMore(res.data.hasMore);
+    } catch (error) {
+      console.error("Error fetching starred messages:", error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Sender, receiver and group come back populated for display
+  const getChatTitle = (msg) => {
+    const sender = msg.senderId._id === authUser._id ? "You" : msg.senderId.fullName;
+    if (msg.groupId) return `${sender} @ ${msg.groupId.name}`;
+    const receiver = msg.receiverId._id === authUser._id ? "You" : msg.receiverId.fullName;
+    return `${sender} ▸ ${receiver}`;
+  };
+
+  const openMessage = async (msg) => {
+    if (await openMessageInChat(msg)) navigate("/");
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex h-screen bg-base-100">
+        <LeftNavPanel />
+        <div className="flex-1 flex items-center justify-center bg-base-100">
+          <span className="loading loading-spinner loading-lg"></span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex h-screen bg-base-100">
+      <LeftNavPanel />
+      <div className="flex-1 flex flex-col overflow-hidden">
+      {/* Header */}
+      <div className="p-4 border-b border-base-300 flex items-center gap-4 bg-base-200">
+        <h1 className="text-xl font-bold">Starred Messages</h1>
+      </div>
+
+      {/* Starred List */}
+      <div className="flex-1 overflow-y-auto p-4">
+        {starredMessages.length === 0 ? (
+          <div className="flex flex-col items-center justify-center h-full text-base-content/50">
+            <Star className="w-16 h-16 mb-4" />
+            <p className="text-lg">No starred messages</p>
+            <p className="text-sm">Star messages from their menu to find them here later</p>
+          </div>
+        ) : (
+          <div className="max-w-3xl mx-auto space-y-3">
+            {starredMessages.map((msg) => (
+              <button
+                key={msg._id}
+                onClick={() => openMessage(msg)}
+                className="w-full text-left bg-base-200 rounded-xl p-3 hover:shadow-lg transition-all flex items-center gap-3"
+              >
+                <img
+                  src={msg.senderId.profilePic || "/avatar.png"}
+                  alt={msg.senderId.fullName}
+                  className="w-10 h-10 rounded-full object-cover self-start"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-sm font-medium truncate">{getChatTitle(msg)}</p>
+                    <span className="text-xs text-base-content/60 flex-shrink-0">
+                      {new Date(msg.createdAt).toLocaleDateString()} {formatMessageTime(msg.createdAt)}
+                    </span>
+                  </div>
+                  {msg.image && (
+                    <img
+                      src={msg.image}
+                      alt="Attachment"
+                      className="mt-2 max-w-[160px] rounded-md"
+                      loading="lazy"
+                    />
+                  )}
+                  {msg.audio && (
+                    <p className="mt-1 text-sm text-base-content/70 flex items-center gap-1">
+                      <Music className="w-4 h-4" />
+                      Voice message
+                      {msg.audioDuration ? ` (${formatDuration(msg.audioDuration)})` : ""}
+                    </p>
+                  )}
+                  {msg.text && <p className="mt-1 text-sm break-words">{msg.text}</p>}
+                </div>
+                <ChevronRight className="w-4 h-4 text-base-content/50" />
+              </button>
+            ))}
+
+            {hasMore && (
+              <button
+                onClick={() => fetchStarredMessages(page + 1)}
+                className="btn btn-ghost btn-sm w-full"
+              >
+                Load more
+              </button>
+            )}
+          </div>
+        )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StarredPage;
@@ -3,6 +3,7 @@ import { axiosInstance } from "../lib/axios.js";
 import toast from "react-hot-toast";
 import { io } from "socket.io-client";
 import { setAuthToken, removeAuthToken, getAuthToken } from "../lib/token.js";
+import { removePushSubscription } from "../lib/push.js";
 
 const BASE_URL = import.meta.env.MODE === "development" ? "http://localhost:5001" : "/";
 
@@ -12,6 +13,8 @@ export const useAuthStore = create((set, get) => ({
   isCheckingAuth: true,
   isLoading: false,
   onlineUsers: [],
+  presence: {}, // {userId: "online" | "away"} for connected users
+  lastSeen: {}, // {userId: date} for users who went offline since we connected
   socket: null,
 
   signup: async (email, password, fullName) => {
@@ -82,6 +85,10 @@ export const useAuthStore = create((set, get) => ({
 
   logout: async () => {
     try {
+      // Whoever logs in next on this browser shouldn't get this account's notifications
+      await removePushSubscription().catch((error) =>
+        console.log("Error removing push subscription:", error.message)
+      );
       await axiosInstance.post("/auth/logout");
       get().disconnectSocket();
       set({ authUser: null });
@@ -118,6 +125,32 @@ export const useAuthStore = create((set, get) => ({
     }
   },
 
+  updateAbout: async (about) => {
+    try {
+      const res = await axiosInstance.put("/auth/about", { about });
+      set({ authUser: res.data });
+      toast.success("About updated");
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to update about");
+      return false;
+    }
+  },
+
+  updatePrivacy: async (privacy) => {
+    try {
+      const res = await axiosInstance.put("/auth/privacy", privacy);
+      set({ authUser: res.data });
+      toast.success("Privacy settings updated");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to update privacy settings");
+    }
+  },
+
+  setPresence: (state) => {
+    get().socket?.emit("setPresence", { state });
+  },
+
   connectSocket: () => {
     const { authUser } = get();
     if (!authUser) return;
@@ -130,9 +163,8 @@ export const useAuthStore = create((set, get) => ({
     }
 
     const socket = io(BASE_URL, {
-      query: {
-        userId: authUser._id,
-      },
+      // The server derives the user from this JWT; read lazily so reconnects use the current token
+      auth: (cb) => cb({ token: getAuthToken() }),
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
@@ -156,6 +188,20 @@ export const useAuthStore = create((set, get) => ({
     socket.on("getOnlineUsers", (userIds) => {
       set({ onlineUsers: userIds });
     });
+
+    socket.on("getPresence", (presence) => {
+      set({ presence });
+    });
+
+    socket.on("presenceUpdate", ({ userId, state, lastSeen }) => {
+      const presence = { ...get().presence };
+      if (state === "offline") {
+        delete presence[userId];
+        set({ presence, lastSeen: { ...get().lastSeen, [userId]: lastSeen } });
+      } else {
+        set({ presence: { ...presence, [userId]: state } });
+      }
+    });
   },
 
   disconnectSocket: () => {
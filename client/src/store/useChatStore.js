@@ -2,13 +2,82 @@ import { create } from "zustand";
 import toast from "react-hot-toast";
 import { axiosInstance } from "../lib/axios";
 import { useAuthStore } from "./useAuthStore";
+import { createClientId, formatChatExport } from "../lib/utils";
+
+const getMessagesUrl = (chat) =>
+  chat.isGroup ? `/messages/group/${chat._id}` : `/messages/${chat._id}`;
+
+// Messages we sent from another device belong to the chat with their receiver
+const isMessageInChat = (message, chat, myId) => {
+  if (chat.isGroup) return message.groupId === chat._id;
+  const isOwnMessage = message.senderId === myId;
+  return !message.groupId && (isOwnMessage ? message.receiverId : message.senderId) === chat._id;
+};
+
+// Our optimistic copy carries the same clientId as the stored message
+const isSameMessage = (a, b) => a._id === b._id || (!!b.clientId && a.clientId === b.clientId);
+
+// Waits between automatic resends of a message that didn't reach the server
+const SEND_RETRY_DELAYS_MS = [1000, 2000, 4000, 8000];
+
+// How long to wait for the socket's ack before trying the same send over REST
+const SEND_ACK_TIMEOUT_MS = 10000;
+
+// Sends that haven't been confirmed yet, by clientId: {url, target, payload, message}.
+// Kept outside the chat's messages so they survive switching chats.
+const outbox = new Map();
+
+// One attempt at storing an outgoing message. Text goes over the socket when it is
+// connected; media (too big for a socket frame) and anything the socket couldn't
+// confirm in time goes over REST, which the clientId makes safe.
+// Resolves to { message } or { status, error }; without a status the server wasn't reached.
+const sendOutgoing = async ({ url, target, payload }) => {
+  const socket = useAuthStore.getState().socket;
+  const hasMedia = payload.image || payload.audio;
+
+  if (socket?.connected && !hasMedia) {
+    try {
+      return await socket
+        .timeout(SEND_ACK_TIMEOUT_MS)
+        .emitWithAck("sendMessage", { ...target, ...payload });
+    } catch (error) {
+      console.log("No ack for sendMessage, falling back to REST:", error.message);
+    }
+  }
+
+  try {
+    const res = await axiosInstance.post(url, payload);
+    return { message: res.data };
+  } catch (error) {
+    return { status: error.response?.status, error: error.response?.data?.error };
+  }
+};
+
+// The open chat's socket listeners, removed one by one so listeners the chat list
+// registered for the same events stay in place
+let chatListeners = {};
+let visibilityListener = null;
+let conversationListeners = {};
+
+// Per user, so switching accounts on one browser doesn't skip anything
+const getSyncCursorKey = (userId) => `syncCursor:${userId}`;
 
 export const useChatStore = create((set, get) => ({
   messages: [],
   users: [],
+  groups: [],
   selectedUser: null,
+  replyingTo: null,
+  editingMessage: null,
+  highlightedMessageId: null,
+  pendingJumpMessageId: null,
   isUsersLoading: false,
   isMessagesLoading: false,
+  hasMoreMessages: false,
+  isLoadingOlderMessages: false,
+  typingUsers: {}, // {userId: "typing" | "recording"} for the open chat
+  isSyncing: false,
+  conversations: {}, // {chatId: {lastMessage, unreadCount}}
 
   getUsers: async () => {
     set({ isUsersLoading: true });
@@ -22,47 +91,641 @@ export const useChatStore = create((set, get) => ({
     }
   },
 
-  getMessages: async (userId) => {
+  getGroups: async () => {
+    try {
+      const res = await axiosInstance.get("/groups");
+      set({ groups: res.data });
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to load groups");
+    }
+  },
+
+  createGroup: async (name, memberIds) => {
+    try {
+      const res = await axiosInstance.post("/groups", { name, memberIds });
+      get().upsertGroup(res.data);
+      toast.success("Group created");
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to create group");
+      return null;
+    }
+  },
+
+  renameGroup: async (groupId, name) => {
+    try {
+      const res = await axiosInstance.put(`/groups/${groupId}`, { name });
+      get().upsertGroup(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to rename group");
+    }
+  },
+
+  addGroupMembers: async (groupId, memberIds) => {
+    try {
+      const res = await axiosInstance.post(`/groups/${groupId}/members`, { memberIds });
+      get().upsertGroup(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to add members");
+    }
+  },
+
+  removeGroupMember: async (groupId, userId) => {
+    try {
+      await axiosInstance.delete(`/groups/${groupId}/members/${userId}`);
+      if (userId === useAuthStore.getState().authUser._id) {
+        get().dropGroup(groupId);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to remove member");
+    }
+  },
+
+  setGroupMemberRole: async (groupId, userId, role) => {
+    try {
+      const res = await axiosInstance.put(`/groups/${groupId}/members/${userId}/role`, { role });
+      get().upsertGroup(res.data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to update role");
+    }
+  },
+
+  // The chat list holds contacts plus anyone we have a direct conversation with, so
+  // contact changes are applied here instead of reloading (and flashing) the list
+  upsertUser: (user) => {
+    const { users, selectedUser } = get();
+    const exists = users.some((u) => u._id === user._id);
+    set({
+      users: exists ? users.map((u) => (u._id === user._id ? user : u)) : [user, ...users],
+      selectedUser: selectedUser?._id === user._id ? user : selectedUser,
+    });
+  },
+
+  dropUser: (userId) => {
+    if (get().conversations[userId]) return;
+    set({ users: get().users.filter((u) => u._id !== userId) });
+  },
+
+  upsertGroup: (group) => {
+    const { groups, selectedUser } = get();
+    const exists = groups.some((g) => g._id === group._id);
+    set({
+      groups: exists ? groups.map((g) => (g._id === group._id ? group : g)) : [group, ...groups],
+      selectedUser: selectedUser?._id === group._id ? group : selectedUser,
+    });
+  },
+
+  dropGroup: (groupId) => {
+    const { groups, selectedUser } = get();
+    set({
+      groups: groups.filter((g) => g._id !== groupId),
+      selectedUser: selectedUser?._id === groupId ? null : selectedUser,
+    });
+  },
+
+  getConversations: async () => {
+    try {
+      const res = await axiosInstance.get("/messages/conversations");
+      set({
+        conversations: Object.fromEntries(
+          res.data.map(({ chatId, lastMessage, unreadCount }) => [chatId, { lastMessage, unreadCount }])
+        ),
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to load chats");
+    }
+  },
+
+  updateConversation: (chatId, update) => {
+    const { conversations } = get();
+    const conversation = conversations[chatId] || { lastMessage: null, unreadCount: 0 };
+    set({ conversations: { ...conversations, [chatId]: { ...conversation, ...update(conversation) } } });
+  },
+
+  markAllChatsAsRead: async () => {
+    try {
+      await axiosInstance.post("/messages/read-all");
+      const conversations = {};
+      for (const [chatId, conversation] of Object.entries(get().conversations)) {
+        conversations[chatId] = { ...conversation, unreadCount: 0 };
+      }
+      set({ conversations });
+      toast.success("All chats marked as read");
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to mark chats as read");
+    }
+  },
+
+  // Keeps previews and unread counters current for every chat, not just the open one;
+  // a (re)connect refetches them since pushes may have been missed meanwhile
+  subscribeToConversations: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    const patchLastMessage = (messageId, patch) => {
+      const chatId = Object.keys(get().conversations).find(
+        (id) => get().conversations[id].lastMessage?._id === messageId
+      );
+      if (!chatId) return;
+      get().updateConversation(chatId, ({ lastMessage }) => ({ lastMessage: { ...lastMessage, ...patch } }));
+    };
+
+    conversationListeners = {
+      connect: get().getConversations,
+      newMessage: (message) => {
+        const myId = useAuthStore.getState().authUser._id;
+        const isOwnMessage = message.senderId === myId;
+        const chatId = message.groupId || (isOwnMessage ? message.receiverId : message.senderId);
+        // A chat open in a background tab isn't being read
+        const isOpen = get().selectedUser?._id === chatId && !document.hidden;
+
+        get().updateConversation(chatId, ({ unreadCount }) => ({
+          lastMessage: message,
+          unreadCount: isOwnMessage || isOpen ? unreadCount : unreadCount + 1,
+        }));
+      },
+      messageEdited: ({ messageId, text, editedAt }) => {
+        patchLastMessage(messageId, { text, editedAt });
+      },
+      messageDeleted: ({ messageId }) => {
+        patchLastMessage(messageId, {
+          text: undefined,
+          image: undefined,
+          audio: undefined,
+          deletedForEveryone: true,
+        });
+      },
+      // Read here or on another of our devices
+      chatRead: ({ chatId }) => {
+        get().updateConversation(chatId, () => ({ unreadCount: 0 }));
+      },
+      // Cleared here or on another of our devices
+      chatCleared: ({ chatId }) => {
+        get().applyChatCleared(chatId);
+      },
+    };
+    for (const [event, listener] of Object.entries(conversationListeners)) socket.on(event, listener);
+    if (socket.connected) get().getConversations();
+  },
+
+  unsubscribeFromConversations: () => {
+    const socket = useAuthStore.getState().socket;
+    for (const [event, listener] of Object.entries(conversationListeners)) socket?.off(event, listener);
+    conversationListeners = {};
+  },
+
+  subscribeToGroups: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.on("groupUpdated", (group) => get().upsertGroup(group));
+    socket.on("groupRemoved", ({ groupId, userId }) => {
+      if (userId === useAuthStore.getState().authUser._id) get().dropGroup(groupId);
+    });
+  },
+
+  unsubscribeFromGroups: () => {
+    const socket = useAuthStore.getState().socket;
+    socket?.off("groupUpdated");
+    socket?.off("groupRemoved");
+  },
+
+  // Pulls whatever changed while the socket was down (or since the last visit), in
+  // batches, and merges it into the open chat. The server marks what we receive
+  // this way as delivered.
+  syncMessages: async () => {
+    const authUser = useAuthStore.getState().authUser;
+    if (!authUser || get().isSyncing) return;
+
+    const cursorKey = getSyncCursorKey(authUser._id);
+    set({ isSyncing: true });
+    try {
+      let hasMore = true;
+      while (hasMore) {
+        const res = await axiosInstance.get("/messages/sync", {
+          params: { since: localStorage.getItem(cursorKey) || undefined },
+        });
+        get().applySyncedMessages(res.data.messages, res.data.removedIds);
+        localStorage.setItem(cursorKey, res.data.cursor);
+        hasMore = res.data.hasMore;
+      }
+    } catch (error) {
+      console.log("Error syncing messages:", error);
+    } finally {
+      set({ isSyncing: false });
+    }
+  },
+
+  applySyncedMessages: (syncedMessages, removedIds) => {
+    const { selectedUser } = get();
+    if (!selectedUser) return;
+
+    const myId = useAuthStore.getState().authUser._id;
+    const messages = get().messages.filter((msg) => !removedIds.includes(msg._id));
+    const oldestLoadedAt = messages[0]?.createdAt;
+
+    for (const synced of syncedMessages) {
+      if (!isMessageInChat(synced, selectedUser, myId)) continue;
+
+      const index = messages.findIndex((msg) => isSameMessage(msg, synced));
+      if (index !== -1) {
+        messages[index] = synced;
+      } else if (!oldestLoadedAt || synced.createdAt >= oldestLoadedAt) {
+        // Older history isn't loaded yet and will come with the page that contains it
+        messages.push(synced);
+      }
+    }
+
+    messages.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    set({ messages });
+  },
+
+  // Every (re)connect triggers a catch-up
+  subscribeToSync: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.on("connect", get().syncMessages);
+    if (socket.connected) get().syncMessages();
+  },
+
+  unsubscribeFromSync: () => {
+    useAuthStore.getState().socket?.off("connect", get().syncMessages);
+  },
+
+  getMessages: async () => {
+    const { selectedUser } = get();
+
     set({ isMessagesLoading: true });
     try {
-      const res = await axiosInstance.get(`/messages/${userId}`);
-      set({ messages: res.data });
+      const res = await axiosInstance.get(getMessagesUrl(selectedUser));
+      const myId = useAuthStore.getState().authUser._id;
+      const unconfirmed = [...outbox.values()]
+        .map(({ message }) => message)
+        .filter((msg) => isMessageInChat(msg, selectedUser, myId));
+      set({ messages: [...res.data.messages, ...unconfirmed], hasMoreMessages: res.data.hasMore });
     } catch (error) {
       toast.error(error.response.data.message);
     } finally {
       set({ isMessagesLoading: false });
     }
+
+    const { pendingJumpMessageId } = get();
+    if (pendingJumpMessageId) {
+      set({ pendingJumpMessageId: null });
+      get().jumpToMessage(pendingJumpMessageId);
+    }
+  },
+
+  // Prepends the page before the oldest loaded message; resolves to false when nothing was added
+  loadOlderMessages: async () => {
+    const { selectedUser, messages, hasMoreMessages, isLoadingOlderMessages } = get();
+    if (!selectedUser || !hasMoreMessages || isLoadingOlderMessages || messages.length === 0) {
+      return false;
+    }
+
+    set({ isLoadingOlderMessages: true });
+    try {
+      const res = await axiosInstance.get(getMessagesUrl(selectedUser), {
+        params: { before: messages[0]._id },
+      });
+      // The chat may have changed while the page was loading
+      if (get().selectedUser?._id !== selectedUser._id) return false;
+
+      set({
+        messages: [...res.data.messages, ...get().messages],
+        hasMoreMessages: res.data.hasMore,
+      });
+      return res.data.messages.length > 0;
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to load older messages");
+      return false;
+    } finally {
+      set({ isLoadingOlderMessages: false });
+    }
+  },
+
+  // Own messages can arrive both in the HTTP response and over the socket (as
+  // they are also pushed to our other devices), so appends skip known ids
+  // A confirmed copy of one of our optimistic messages replaces it in place
+  appendMessages: (newMessages) => {
+    let { messages } = get();
+    for (const msg of newMessages) {
+      const index = messages.findIndex((m) => isSameMessage(m, msg));
+      if (index === -1) {
+        messages = [...messages, msg];
+      } else if (messages[index]._id !== msg._id) {
+        messages = messages.map((m, i) => (i === index ? msg : m));
+      }
+    }
+    if (messages !== get().messages) set({ messages });
   },
+
+  // Shows the message right away with a pending status and sends it in the background
   sendMessage: async (messageData) => {
-    const { selectedUser, messages } = get();
+    const { selectedUser, replyingTo } = get();
+    const authUser = useAuthStore.getState().authUser;
+    const clientId = createClientId();
+    const url = selectedUser.isGroup
+      ? `/messages/group/send/${selectedUser._id}`
+      : `/messages/send/${selectedUser._id}`;
+    const target = selectedUser.isGroup
+      ? { groupId: selectedUser._id }
+      : { receiverId: selectedUser._id };
+
+    const message = {
+      _id: clientId,
+      clientId,
+      senderId: authUser._id,
+      ...target,
+      ...messageData,
+      replyTo: replyingTo,
+      reactions: [],
+      status: "pending",
+      createdAt: new Date().toISOString(),
+    };
+    outbox.set(clientId, {
+      url,
+      target,
+      payload: { ...messageData, replyTo: replyingTo?._id, clientId },
+      message,
+    });
+
+    get().appendMessages([message]);
+    set({ replyingTo: null });
+    get().deliverOutgoing(clientId);
+  },
+
+  // The clientId makes resending safe: the server hands back the stored message
+  // instead of saving it twice. Rejections (4xx) aren't worth retrying.
+  deliverOutgoing: async (clientId) => {
+    for (let attempt = 0; ; attempt++) {
+      const { message, status, error } = await sendOutgoing(outbox.get(clientId));
+
+      if (message) {
+        outbox.delete(clientId);
+        // Only if its chat is still open; otherwise it loads with the chat
+        if (get().messages.some((msg) => msg.clientId === clientId)) {
+          get().appendMessages([message]);
+        }
+        return;
+      }
+
+      const isRetryable = !status || status >= 500;
+      if (!isRetryable || attempt >= SEND_RETRY_DELAYS_MS.length) {
+        if (!isRetryable) toast.error(error || "Failed to send message");
+        get().setOutgoingStatus(clientId, "failed");
+        return;
+      }
+      await new Promise((resolve) => setTimeout(resolve, SEND_RETRY_DELAYS_MS[attempt]));
+    }
+  },
+
+  retryMessage: (clientId) => {
+    if (!outbox.has(clientId)) return;
+    get().setOutgoingStatus(clientId, "pending");
+    get().deliverOutgoing(clientId);
+  },
+
+  discardMessage: (clientId) => {
+    outbox.delete(clientId);
+    set({ messages: get().messages.filter((msg) => msg._id !== clientId) });
+  },
+
+  setOutgoingStatus: (clientId, status) => {
+    const entry = outbox.get(clientId);
+    if (entry) entry.message = { ...entry.message, status };
+    set({
+      messages: get().messages.map((msg) => (msg._id === clientId ? { ...msg, status } : msg)),
+    });
+  },
+
+  forwardMessage: async (messageId, receiverIds, groupIds) => {
+    try {
+      const res = await axiosInstance.post(`/messages/forward/${messageId}`, {
+        receiverIds,
+        groupIds,
+      });
+
+      // Copies sent into the open chat show up right away
+      const { selectedUser } = get();
+      const intoSelectedChat = res.data.filter((msg) =>
+        selectedUser?.isGroup ? msg.groupId === selectedUser._id : msg.receiverId === selectedUser?._id
+      );
+      get().appendMessages(intoSelectedChat);
+
+      toast.success(res.data.length === 1 ? "Message forwarded" : `Forwarded to ${res.data.length} chats`);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to forward message");
+      return false;
+    }
+  },
+
+  toggleStar: async (message) => {
+    const starred = !message.isStarred;
+    try {
+      if (starred) {
+        await axiosInstance.post(`/messages/${message._id}/star`);
+      } else {
+        await axiosInstance.delete(`/messages/${message._id}/star`);
+      }
+      set({
+        messages: get().messages.map((msg) =>
+          msg._id === message._id ? { ...msg, isStarred: starred } : msg
+        ),
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to update star");
+    }
+  },
+
+  deleteMessage: async (messageId, scope) => {
+    try {
+      const res = await axiosInstance.delete(`/messages/${messageId}`, { params: { scope } });
+      if (scope === "me") {
+        set({ messages: get().messages.filter((msg) => msg._id !== messageId) });
+      } else {
+        get().markMessageDeleted(messageId, res.data.deletedAt);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to delete message");
+    }
+  },
+
+  // Hides a chat's whole history for us only
+  clearChat: async (chatId) => {
+    try {
+      await axiosInstance.delete(`/messages/chat/${chatId}`);
+      get().applyChatCleared(chatId);
+      toast.success("Chat cleared");
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to clear chat");
+      return false;
+    }
+  },
+
+  // Messages still waiting in the outbox weren't part of the cleared history
+  applyChatCleared: (chatId) => {
+    get().updateConversation(chatId, () => ({ lastMessage: null, unreadCount: 0 }));
+    if (get().selectedUser?._id !== chatId) return;
+    set({ messages: get().messages.filter((msg) => outbox.has(msg._id)), hasMoreMessages: false });
+  },
+
+  // Downloads the chat's visible history as a text file
+  exportChat: async (chat) => {
     try {
-      const res = await axiosInstance.post(`/messages/send/${selectedUser._id}`, messageData);
-      set({ messages: [...messages, res.data] });
+      const res = await axiosInstance.get(`/messages/chat/${chat._id}/export`);
+      const name = chat.isGroup ? chat.name : chat.fullName;
+      const blob = new Blob([formatChatExport(res.data)], { type: "text/plain" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `Chat with ${name}.txt`;
+      link.click();
+      URL.revokeObjectURL(url);
     } catch (error) {
-      toast.error(error.response?.data?.message || "Failed to send message");
+      toast.error(error.response?.data?.error || "Failed to export chat");
     }
   },
 
+  // Turns a message (and quotes of it) into a "deleted for everyone" tombstone
+  markMessageDeleted: (messageId, deletedAt) => {
+    const tombstone = (msg) => ({
+      ...msg,
+      text: undefined,
+      image: undefined,
+      audio: undefined,
+      audioDuration: undefined,
+      editedAt: undefined,
+      isStarred: false,
+      reactions: [],
+      deletedForEveryone: true,
+      deletedAt,
+    });
+
+    set({
+      messages: get().messages.map((msg) => {
+        if (msg._id === messageId) return tombstone(msg);
+        if (msg.replyTo?._id === messageId) return { ...msg, replyTo: tombstone(msg.replyTo) };
+        return msg;
+      }),
+    });
+  },
+
+  editMessage: async (messageId, text) => {
+    try {
+      const res = await axiosInstance.put(`/messages/${messageId}`, { text });
+      get().applyMessageEdit(messageId, res.data.text, res.data.editedAt);
+      set({ editingMessage: null });
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to edit message");
+    }
+  },
+
+  applyMessageEdit: (messageId, text, editedAt) => {
+    set({
+      messages: get().messages.map((msg) => {
+        if (msg._id === messageId) return { ...msg, text, editedAt };
+        if (msg.replyTo?._id === messageId) return { ...msg, replyTo: { ...msg.replyTo, text } };
+        return msg;
+      }),
+    });
+  },
+
+  // Reacting with the emoji the user already picked removes their reaction
+  reactToMessage: async (messageId, emoji) => {
+    try {
+      const res = await axiosInstance.post(`/messages/${messageId}/reaction`, { emoji });
+      get().applyReactions(messageId, res.data.reactions);
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to react to message");
+    }
+  },
+
+  applyReactions: (messageId, reactions) => {
+    set({
+      messages: get().messages.map((msg) => (msg._id === messageId ? { ...msg, reactions } : msg)),
+    });
+  },
+
   subscribeToMessages: () => {
     const { selectedUser } = get();
     if (!selectedUser) return;
 
     const socket = useAuthStore.getState().socket;
+    if (!socket) return;
 
-    socket.on("newMessage", (newMessage) => {
-      const isMessageSentFromSelectedUser = newMessage.senderId === selectedUser._id;
-      if (!isMessageSentFromSelectedUser) return;
+    const isIndicatorForSelectedChat = ({ userId, groupId }) =>
+      selectedUser.isGroup ? groupId === selectedUser._id : !groupId && userId === selectedUser._id;
 
-      set({
-        messages: [...get().messages, newMessage],
-      });
+    chatListeners = {
+      newMessage: (newMessage) => {
+        // Messages we sent from another device come back here too
+        const myId = useAuthStore.getState().authUser._id;
+        if (!isMessageInChat(newMessage, selectedUser, myId)) return;
 
-      // Emit delivered confirmation for received messages
-      socket.emit("messageDelivered", {
-        messageId: newMessage._id,
-        senderId: newMessage.senderId,
-      });
-    });
+        get().appendMessages([newMessage]);
+        if (newMessage.senderId === myId) return;
+
+        get().setUserTyping(newMessage.senderId, null);
+
+        // The chat is open, so the message is read as soon as it arrives, unless the
+        // tab is in the background; then it is read when the tab is shown again
+        if (document.hidden) socket.emit("messageDelivered", { messageId: newMessage._id });
+        else socket.emit("messageRead", { messageId: newMessage._id });
+      },
+      messageStatusUpdate: ({ messageId, status }) => {
+        get().updateMessageStatus(messageId, status);
+      },
+      // The peer read everything we sent them
+      allMessagesRead: ({ receiverId }) => {
+        if (selectedUser.isGroup || receiverId !== selectedUser._id) return;
+        set({
+          messages: get().messages.map((msg) =>
+            msg.receiverId === receiverId && !outbox.has(msg._id) ? { ...msg, status: "read" } : msg
+          ),
+        });
+      },
+      messageDeleted: ({ messageId, deletedAt }) => {
+        get().markMessageDeleted(messageId, deletedAt);
+      },
+      messageEdited: ({ messageId, text, editedAt }) => {
+        get().applyMessageEdit(messageId, text, editedAt);
+      },
+      messageReaction: ({ messageId, reactions }) => {
+        get().applyReactions(messageId, reactions);
+      },
+      typing: (data) => {
+        if (isIndicatorForSelectedChat(data)) get().setUserTyping(data.userId, "typing");
+      },
+      recordingAudio: (data) => {
+        if (isIndicatorForSelectedChat(data)) get().setUserTyping(data.userId, "recording");
+      },
+      stopTyping: (data) => {
+        if (isIndicatorForSelectedChat(data)) get().setUserTyping(data.userId, null);
+      },
+    };
+    for (const [event, listener] of Object.entries(chatListeners)) socket.on(event, listener);
+
+    visibilityListener = () => {
+      if (!document.hidden) get().markMessagesAsRead(selectedUser._id);
+    };
+    document.addEventListener("visibilitychange", visibilityListener);
+  },
+
+  setUserTyping: (userId, kind) => {
+    const typingUsers = { ...get().typingUsers };
+    if (kind) typingUsers[userId] = kind;
+    else delete typingUsers[userId];
+    set({ typingUsers });
+  },
+
+  // Tells the other side of `chat` that we're typing, recording or stopped ("stopTyping")
+  emitTyping: (event, chat) => {
+    const socket = useAuthStore.getState().socket;
+    socket?.emit(event, chat.isGroup ? { groupId: chat._id } : { receiverId: chat._id });
   },
 
   updateMessageStatus: (messageId, status) => {
@@ -73,22 +736,99 @@ export const useChatStore = create((set, get) => ({
     set({ messages: updatedMessages });
   },
 
-  markMessagesAsRead: (senderId) => {
+  markMessagesAsRead: (chatId) => {
     const socket = useAuthStore.getState().socket;
     const authUser = useAuthStore.getState().authUser;
 
     if (socket && authUser) {
-      socket.emit("markAllMessagesAsRead", {
-        senderId: senderId,
-        receiverId: authUser._id,
-      });
+      get().updateConversation(chatId, () => ({ unreadCount: 0 }));
+
+      if (get().selectedUser?.isGroup) {
+        socket.emit("markAllMessagesAsRead", { groupId: chatId });
+        return;
+      }
+
+      socket.emit("markAllMessagesAsRead", { senderId: chatId });
     }
   },
 
   unsubscribeFromMessages: () => {
     const socket = useAuthStore.getState().socket;
-    socket.off("newMessage");
+    for (const [event, listener] of Object.entries(chatListeners)) socket?.off(event, listener);
+    chatListeners = {};
+    if (visibilityListener) document.removeEventListener("visibilitychange", visibilityListener);
+    visibilityListener = null;
+    set({ typingUsers: {} });
+  },
+
+  setReplyingTo: (replyingTo) => set({ replyingTo, editingMessage: null }),
+
+  setEditingMessage: (editingMessage) => set({ editingMessage, replyingTo: null }),
+
+  // Scrolls the open chat to a message, paging back through history until it is loaded
+  jumpToMessage: async (messageId) => {
+    const isLoaded = () => get().messages.some((msg) => msg._id === messageId);
+
+    while (!isLoaded() && get().hasMoreMessages) {
+      const loaded = await get().loadOlderMessages();
+      if (!loaded) break;
+    }
+    if (!isLoaded()) {
+      toast.error("Message is no longer available");
+      return;
+    }
+    set({ highlightedMessageId: messageId });
+  },
+
+  clearHighlightedMessage: () => set({ highlightedMessageId: null }),
+
+  // Searches one chat when given, every chat otherwise; resolves to null on failure
+  searchMessages: async (query, chat, page = 1) => {
+    const params = { q: query, page };
+    if (chat) params[chat.isGroup ? "groupId" : "userId"] = chat._id;
+    try {
+      const res = await axiosInstance.get("/messages/search", { params });
+      return res.data;
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Search failed");
+      return null;
+    }
+  },
+
+  // Opens a chat and scrolls to the given message once its messages are loaded
+  openChatAtMessage: (chat, messageId) => {
+    if (get().selectedUser?._id === chat._id) {
+      get().jumpToMessage(messageId);
+      return;
+    }
+    set({
+      selectedUser: chat,
+      replyingTo: null,
+      editingMessage: null,
+      pendingJumpMessageId: messageId,
+    });
+  },
+
+  // Opens the chat a message with populated sender/receiver/group belongs to
+  openMessageInChat: async (message) => {
+    const authUser = useAuthStore.getState().authUser;
+    let chat;
+    if (message.groupId) {
+      const findGroup = () => get().groups.find((g) => g._id === message.groupId._id);
+      chat = findGroup();
+      if (!chat) {
+        await get().getGroups();
+        chat = findGroup();
+      }
+    } else {
+      chat = message.senderId._id === authUser._id ? message.receiverId : message.senderId;
+    }
+    if (!chat) return false;
+
+    get().openChatAtMessage(chat, message._id);
+    return true;
   },
 
-  setSelectedUser: (selectedUser) => set({ selectedUser }),
+  setSelectedUser: (selectedUser) =>
+    set({ selectedUser, replyingTo: null, editingMessage: null, hasMoreMessages: false }),
 }));
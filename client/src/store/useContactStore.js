@@ -0,0 +1,157 @@
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+import { useAuthStore } from "./useAuthStore";
+import { useChatStore } from "./useChatStore";
+
+// Chat screens check authUser.blockedUsers, so it has to follow every block/unblock
+const setBlockedIds = (blockedIds) => {
+  const { authUser } = useAuthStore.getState();
+  useAuthStore.setState({ authUser: { ...authUser, blockedUsers: blockedIds } });
+};
+
+export const useContactStore = create((set, get) => ({
+  contacts: [],
+  incomingRequests: [], // [{_id, user, createdAt}]
+  outgoingRequests: [],
+  blockedUsers: [], // the users themselves; authUser.blockedUsers only has their ids
+  isContactsLoading: false,
+
+  getContacts: async () => {
+    set({ isContactsLoading: true });
+    try {
+      const res = await axiosInstance.get("/contacts");
+      set({
+        contacts: res.data.contacts,
+        incomingRequests: res.data.incoming,
+        outgoingRequests: res.data.outgoing,
+        blockedUsers: res.data.blocked,
+      });
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to load contacts");
+    } finally {
+      set({ isContactsLoading: false });
+    }
+  },
+
+  addContact: async (email) => {
+    try {
+      const res = await axiosInstance.post("/contacts", { email });
+      if (res.data.contact) {
+        // They had already asked us, so this accepted their request
+        get().addAcceptedContact(res.data.contact);
+        toast.success(`${res.data.contact.fullName} added to your contacts`);
+      } else {
+        set({ outgoingRequests: [res.data.request, ...get().outgoingRequests] });
+        toast.success("Contact request sent");
+      }
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to add contact");
+      return false;
+    }
+  },
+
+  acceptRequest: async (requestId) => {
+    try {
+      const res = await axiosInstance.post(`/contacts/requests/${requestId}/accept`);
+      get().addAcceptedContact(res.data.contact);
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to accept request");
+    }
+  },
+
+  declineRequest: async (requestId) => {
+    try {
+      await axiosInstance.post(`/contacts/requests/${requestId}/decline`);
+      set({ incomingRequests: get().incomingRequests.filter((r) => r._id !== requestId) });
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to decline request");
+    }
+  },
+
+  // Removes a contact or withdraws our pending request to them
+  removeContact: async (userId) => {
+    try {
+      await axiosInstance.delete(`/contacts/${userId}`);
+      get().dropContact(userId);
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to remove contact");
+    }
+  },
+
+  blockUser: async (userId) => {
+    try {
+      const res = await axiosInstance.post(`/contacts/${userId}/block`);
+      setBlockedIds(res.data.blockedUsers);
+      set({ blockedUsers: [res.data.user, ...get().blockedUsers.filter((u) => u._id !== userId)] });
+      toast.success(`${res.data.user.fullName} blocked`);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to block user");
+      return false;
+    }
+  },
+
+  unblockUser: async (userId) => {
+    try {
+      const res = await axiosInstance.delete(`/contacts/${userId}/block`);
+      setBlockedIds(res.data.blockedUsers);
+      set({ blockedUsers: get().blockedUsers.filter((u) => u._id !== userId) });
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to unblock user");
+    }
+  },
+
+  // Without messageIds the server attaches the user's latest messages to us
+  reportUser: async (userId, { messageIds, reason }) => {
+    try {
+      await axiosInstance.post("/reports", { userId, messageIds, reason });
+      toast.success("Report sent");
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to send report");
+      return false;
+    }
+  },
+
+  addAcceptedContact: (user) => {
+    const { contacts, incomingRequests, outgoingRequests } = get();
+    set({
+      contacts: [user, ...contacts.filter((c) => c._id !== user._id)],
+      incomingRequests: incomingRequests.filter((r) => r.user._id !== user._id),
+      outgoingRequests: outgoingRequests.filter((r) => r.user._id !== user._id),
+    });
+    useChatStore.getState().upsertUser(user);
+  },
+
+  dropContact: (userId) => {
+    const { contacts, incomingRequests, outgoingRequests } = get();
+    set({
+      contacts: contacts.filter((c) => c._id !== userId),
+      incomingRequests: incomingRequests.filter((r) => r.user._id !== userId),
+      outgoingRequests: outgoingRequests.filter((r) => r.user._id !== userId),
+    });
+    useChatStore.getState().dropUser(userId);
+  },
+
+  subscribeToContacts: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.on("contactRequest", (request) => {
+      const incomingRequests = get().incomingRequests.filter((r) => r._id !== request._id);
+      set({ incomingRequests: [request, ...incomingRequests] });
+      toast(`${request.user.fullName} wants to add you as a contact`);
+    });
+    socket.on("contactAccepted", ({ user }) => get().addAcceptedContact(user));
+    socket.on("contactRemoved", ({ userId }) => get().dropContact(userId));
+  },
+
+  unsubscribeFromContacts: () => {
+    const socket = useAuthStore.getState().socket;
+    socket?.off("contactRequest");
+    socket?.off("contactAccepted");
+    socket?.off("contactRemoved");
+  },
+}));
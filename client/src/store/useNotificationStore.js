@@ -0,0 +1,141 @@
+import { create } from "zustand";
+import toast from "react-hot-toast";
+import { axiosInstance } from "../lib/axios";
+import { DEFAULT_CHAT_SETTINGS } from "../lib/notifications";
+import {
+  createPushSubscription,
+  getPushSubscription,
+  isPushSupported,
+  registerServiceWorker,
+  removePushSubscription,
+} from "../lib/push";
+import { useAuthStore } from "./useAuthStore";
+
+export const useNotificationStore = create((set, get) => ({
+  chatSettings: {}, // {chatId: {mutedUntil, sound, mentionsOnly}}, only chats that have any
+  notificationPermission: "Notification" in window ? Notification.permission : "unsupported",
+  pushStatus: "loading", // "unsupported" | "disabled" | "enabled", for this browser
+  pushPreview: "message",
+
+  getChatSettings: async () => {
+    try {
+      const res = await axiosInstance.get("/notifications/settings");
+      set({ chatSettings: Object.fromEntries(res.data.map((settings) => [settings.chatId, settings])) });
+    } catch (error) {
+      console.log("Error loading chat settings:", error.message);
+    }
+  },
+
+  getSettingsFor: (chatId) => get().chatSettings[chatId] || DEFAULT_CHAT_SETTINGS,
+
+  // changes: { mute: "8h" | "1w" | "always" | "off", sound, mentionsOnly }, all optional
+  updateChatSettings: async (chatId, changes) => {
+    try {
+      const res = await axiosInstance.put(`/notifications/settings/${chatId}`, changes);
+      get().setChatSettings(res.data);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to update notification settings");
+      return false;
+    }
+  },
+
+  setChatSettings: (settings) => {
+    set({ chatSettings: { ...get().chatSettings, [settings.chatId]: settings } });
+  },
+
+  // Browsers only show the prompt in response to a click
+  requestNotificationPermission: async () => {
+    if (get().notificationPermission === "unsupported") return;
+    const permission = await Notification.requestPermission();
+    set({ notificationPermission: permission });
+  },
+
+  // Registers the service worker and links an existing subscription to whoever is
+  // logged in now
+  initPush: async () => {
+    if (!isPushSupported()) {
+      set({ pushStatus: "unsupported" });
+      return;
+    }
+
+    try {
+      await registerServiceWorker();
+      const subscription = await getPushSubscription();
+      if (!subscription) {
+        set({ pushStatus: "disabled" });
+        return;
+      }
+
+      const res = await axiosInstance.post("/notifications/push/subscriptions", { subscription });
+      set({ pushStatus: "enabled", pushPreview: res.data.preview });
+    } catch (error) {
+      console.log("Error setting up push notifications:", error.message);
+      set({ pushStatus: "disabled" });
+    }
+  },
+
+  enablePush: async () => {
+    try {
+      if (Notification.permission !== "granted") {
+        const permission = await Notification.requestPermission();
+        set({ notificationPermission: permission });
+        if (permission !== "granted") {
+          toast.error("Notifications are blocked in your browser settings");
+          return;
+        }
+      }
+
+      const keyRes = await axiosInstance.get("/notifications/push/key");
+      const subscription =
+        (await getPushSubscription()) || (await createPushSubscription(keyRes.data.publicKey));
+      const res = await axiosInstance.post("/notifications/push/subscriptions", {
+        subscription,
+        preview: get().pushPreview,
+      });
+      set({ pushStatus: "enabled", pushPreview: res.data.preview });
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to turn on push notifications");
+    }
+  },
+
+  disablePush: async () => {
+    try {
+      await removePushSubscription();
+      set({ pushStatus: "disabled" });
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to turn off push notifications");
+    }
+  },
+
+  setPushPreview: async (preview) => {
+    if (get().pushStatus !== "enabled") {
+      set({ pushPreview: preview });
+      return;
+    }
+
+    try {
+      const subscription = await getPushSubscription();
+      const res = await axiosInstance.put("/notifications/push/subscriptions", {
+        endpoint: subscription.endpoint,
+        preview,
+      });
+      set({ pushPreview: res.data.preview });
+    } catch (error) {
+      toast.error(error.response?.data?.error || "Failed to update push notifications");
+    }
+  },
+
+  // Changes made on the user's other devices
+  subscribeToChatSettings: () => {
+    const socket = useAuthStore.getState().socket;
+    if (!socket) return;
+
+    socket.on("chatSettingsUpdated", (settings) => get().setChatSettings(settings));
+  },
+
+  unsubscribeFromChatSettings: () => {
+    const socket = useAuthStore.getState().socket;
+    socket?.off("chatSettingsUpdated");
+  },
+}));
@@ -0,0 +1,114 @@
+// A local stand-in for a browser push service, to try Web Push without a browser.
+// It prints a push subscription, registers it for a user when given their token, and
+// decrypts and prints every notification the API sends to it.
+//
+//   npm run push:stand-in -- --token <JWT> [--api http://localhost:5001] [--port 5010]
+//                            [--preview message|sender|none] [--gone]
+//
+// With --gone it answers like an expired subscription (410), which should make the API
+// delete it. The API only accepts localhost endpoints like this one outside production.
+import http from "http";
+import crypto from "crypto";
+
+const readArgs = () => {
+  const args = {};
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    const next = argv[i + 1];
+    if (next && !next.startsWith("--")) {
+      args[name] = next;
+      i++;
+    } else {
+      args[name] = true;
+    }
+  }
+  return args;
+};
+
+const args = readArgs();
+const port = Number(args.port) || 5010;
+const api = args.api || "http://localhost:5001";
+
+// The keys a browser would create for its subscription (RFC 8291)
+const ecdh = crypto.createECDH("prime256v1");
+const publicKey = ecdh.generateKeys();
+const authSecret = crypto.randomBytes(16);
+
+const subscription = {
+  endpoint: `http://localhost:${port}/push/${crypto.randomBytes(8).toString("hex")}`,
+  keys: {
+    p256dh: publicKey.toString("base64url"),
+    auth: authSecret.toString("base64url"),
+  },
+};
+
+// Undoes web-push's aes128gcm encryption (RFC 8188 / 8291); payloads fit in one record
+const decrypt = (body) => {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const senderPublicKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const ecdhSecret = ecdh.computeSecret(senderPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from("WebPush: info\0"), publicKey, senderPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync("sha256", ecdhSecret, authSecret, keyInfo, 32));
+  const derive = (info, length) =>
+    Buffer.from(crypto.hkdfSync("sha256", ikm, salt, Buffer.from(`Content-Encoding: ${info}\0`), length));
+
+  const decipher = crypto.createDecipheriv("aes-128-gcm", derive("aes128gcm", 16), derive("nonce", 12));
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+  // The last record ends with a 0x02 delimiter and optional zero padding
+  return padded.subarray(0, padded.lastIndexOf(2)).toString("utf8");
+};
+
+// The claims of the VAPID JWT in "Authorization: vapid t=<jwt>, k=<public key>"
+const readVapidClaims = (authorization = "") => {
+  const token = authorization.match(/t=([^,\s]+)/)?.[1];
+  if (!token) return null;
+  return JSON.parse(Buffer.from(token.split(".")[1], "base64url").toString("utf8"));
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    if (req.method !== "POST" || req.url !== new URL(subscription.endpoint).pathname) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    console.log(`\n[${new Date().toLocaleTimeString()}] Push received (TTL ${req.headers.ttl}s)`);
+    console.log("VAPID claims:", readVapidClaims(req.headers.authorization));
+    try {
+      console.log("Payload:", JSON.parse(decrypt(Buffer.concat(chunks))));
+    } catch (error) {
+      console.log("Could not decrypt payload:", error.message);
+    }
+
+    res.writeHead(args.gone ? 410 : 201).end();
+  });
+});
+
+server.listen(port, async () => {
+  console.log(`Push service stand-in listening on port ${port}`);
+  console.log("Subscription:", JSON.stringify(subscription));
+
+  if (!args.token) {
+    console.log("Pass --token <JWT> to register it, or POST it to /api/notifications/push/subscriptions");
+    return;
+  }
+
+  try {
+    const response = await fetch(`${api}/api/notifications/push/subscriptions`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${args.token}` },
+      body: JSON.stringify({ subscription, preview: args.preview }),
+    });
+    console.log(`Registered with ${api}:`, response.status, await response.json());
+  } catch (error) {
+    console.log(`Could not register with ${api}:`, error.message);
+  }
+});
@@ -0,0 +1,162 @@
+// A local stand-in for Redis, to run several API instances with SOCKET_ADAPTER=redis
+// without installing Redis. It speaks just enough of the Redis protocol (RESP2
+// pub/sub) for @socket.io/redis-adapter; nothing is stored.
+//
+//   npm run redis:stand-in -- [--port 6379] [--verbose]
+//
+// With --verbose it prints every published message's channel, to see instances talk.
+import net from "net";
+
+const readArgs = () => {
+  const args = {};
+  const argv = process.argv.slice(2);
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    const next = argv[i + 1];
+    if (next && !next.startsWith("--")) {
+      args[name] = next;
+      i++;
+    } else {
+      args[name] = true;
+    }
+  }
+  return args;
+};
+
+const args = readArgs();
+const port = Number(args.port) || 6379;
+
+// Replies in the Redis wire format
+const bulk = (value) => {
+  const data = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${data.length}\r\n`), data, Buffer.from("\r\n")]);
+};
+const array = (items) => Buffer.concat([Buffer.from(`*${items.length}\r\n`), ...items]);
+const integer = (n) => Buffer.from(`:${n}\r\n`);
+const simple = (text) => Buffer.from(`+${text}\r\n`);
+const error = (text) => Buffer.from(`-ERR ${text}\r\n`);
+
+const globToRegExp = (pattern) =>
+  new RegExp(`^${pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`);
+
+// Reads one command (an array of bulk strings) off the front of the buffer;
+// null until all of it has arrived
+const parseCommand = (buffer) => {
+  let lineEnd = buffer.indexOf("\r\n");
+  if (lineEnd < 0) return null;
+  const count = parseInt(buffer.subarray(1, lineEnd).toString());
+  let position = lineEnd + 2;
+
+  const command = [];
+  for (let i = 0; i < count; i++) {
+    lineEnd = buffer.indexOf("\r\n", position);
+    if (lineEnd < 0) return null;
+    const length = parseInt(buffer.subarray(position + 1, lineEnd).toString());
+    const start = lineEnd + 2;
+    if (buffer.length < start + length + 2) return null;
+    command.push(buffer.subarray(start, start + length));
+    position = start + length + 2;
+  }
+  return { command, rest: buffer.subarray(position) };
+};
+
+const clients = new Set(); // {socket, channels, patterns}
+
+const subscriptionCount = (client) => client.channels.size + client.patterns.size;
+
+const publish = (channel, message) => {
+  let receivers = 0;
+  for (const client of clients) {
+    if (client.channels.has(channel)) {
+      client.socket.write(array([bulk("message"), bulk(channel), bulk(message)]));
+      receivers++;
+    }
+    for (const pattern of client.patterns) {
+      if (globToRegExp(pattern).test(channel)) {
+        client.socket.write(array([bulk("pmessage"), bulk(pattern), bulk(channel), bulk(message)]));
+        receivers++;
+      }
+    }
+  }
+  if (args.verbose) console.log(`${channel} -> ${receivers} subscriber(s)`);
+  return receivers;
+};
+
+const handleCommand = (client, [name, ...params]) => {
+  const reply = (data) => client.socket.write(data);
+  const command = name.toString().toUpperCase();
+
+  switch (command) {
+    case "SUBSCRIBE":
+    case "PSUBSCRIBE": {
+      const targets = command === "SUBSCRIBE" ? client.channels : client.patterns;
+      for (const target of params) {
+        targets.add(target.toString());
+        reply(array([bulk(command.toLowerCase()), bulk(target), integer(subscriptionCount(client))]));
+      }
+      return;
+    }
+    case "UNSUBSCRIBE":
+    case "PUNSUBSCRIBE": {
+      const targets = command === "UNSUBSCRIBE" ? client.channels : client.patterns;
+      for (const target of params.length ? params : [...targets]) {
+        targets.delete(target.toString());
+        reply(array([bulk(command.toLowerCase()), bulk(target), integer(subscriptionCount(client))]));
+      }
+      return;
+    }
+    case "PUBLISH":
+      reply(integer(publish(params[0].toString(), params[1])));
+      return;
+    // The adapter counts instances with PUBSUB NUMSUB
+    case "PUBSUB": {
+      if (params[0]?.toString().toUpperCase() !== "NUMSUB") {
+        reply(array([]));
+        return;
+      }
+      const counts = params.slice(1).flatMap((channel) => {
+        const subscribers = [...clients].filter((c) => c.channels.has(channel.toString())).length;
+        return [bulk(channel), integer(subscribers)];
+      });
+      reply(array(counts));
+      return;
+    }
+    case "PING":
+      reply(simple("PONG"));
+      return;
+    // Connection housekeeping the client may send
+    case "CLIENT":
+    case "SELECT":
+    case "AUTH":
+      reply(simple("OK"));
+      return;
+    default:
+      reply(error(`unknown command '${command}' (this is only a pub/sub stand-in)`));
+  }
+};
+
+const server = net.createServer((socket) => {
+  const client = { socket, channels: new Set(), patterns: new Set() };
+  clients.add(client);
+  console.log(`Client connected (${clients.size} open)`);
+
+  let pending = Buffer.alloc(0);
+  socket.on("data", (data) => {
+    pending = Buffer.concat([pending, data]);
+    let parsed;
+    while (pending.length > 0 && (parsed = parseCommand(pending))) {
+      pending = parsed.rest;
+      handleCommand(client, parsed.command);
+    }
+  });
+  socket.on("error", () => socket.destroy());
+  socket.on("close", () => {
+    clients.delete(client);
+    console.log(`Client disconnected (${clients.size} open)`);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Redis stand-in listening on port ${port}`);
+  console.log(`Start each API instance with SOCKET_ADAPTER=redis REDIS_URL=redis://localhost:${port}`);
+});
@@ -15,6 +15,9 @@ const formatUserResponse = (user, extra = {}) => ({
   email: user.email,
   fullName: user.fullName,
   profilePic: user.profilePic,
+  about: user.about,
+  privacy: user.privacy,
+  blockedUsers: user.blockedUsers,
   createdAt: user.createdAt,
   updatedAt: user.updatedAt,
   ...extra,
@@ -132,6 +135,28 @@ export const updateFullName = async (req, res) => {
   }
 };
 
+const MAX_ABOUT_LENGTH = 140;
+
+export const updateAbout = async (req, res) => {
+  try {
+    const { about } = req.body;
+    if (typeof about !== "string" || about.trim().length > MAX_ABOUT_LENGTH) {
+      return res.status(400).json({ message: `About must be at most ${MAX_ABOUT_LENGTH} characters` });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { about: about.trim() },
+      { new: true }
+    );
+
+    res.status(200).json(formatUserResponse(updatedUser));
+  } catch (error) {
+    console.log("Error in updateAbout:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 export const updateProfile = async (req, res) => {
   try {
     const { profilePic } = req.body;
@@ -154,6 +179,29 @@ export const updateProfile = async (req, res) => {
   }
 };
 
+const LAST_SEEN_VISIBILITY = ["everyone", "nobody"];
+
+export const updatePrivacy = async (req, res) => {
+  try {
+    const { lastSeen } = req.body;
+
+    if (!LAST_SEEN_VISIBILITY.includes(lastSeen)) {
+      return res.status(400).json({ message: "Invalid last seen visibility" });
+    }
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { "privacy.lastSeen": lastSeen },
+      { new: true }
+    );
+
+    res.status(200).json(formatUserResponse(updatedUser));
+  } catch (error) {
+    console.log("Error in updatePrivacy:", error.message);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
 export const logout = (req, res) => {
   try {
     res.status(200).json({ message: "Logged out successfully" });
@@ -0,0 +1,232 @@
+import mongoose from "mongoose";
+import Contact from "../models/contact.model.js";
+import User from "../models/user.model.js";
+
+import { broadcastOnlineUsers, getUserRoom, io, updatePresenceAfterBlock } from "../lib/socket.js";
+
+const toRequest = (contact, user) => ({ _id: contact._id, user, createdAt: contact.createdAt });
+
+// req.user still carries the password hash, so anything emitted to the other user
+// is reloaded without it
+const findPublicUser = (userId) => User.findById(userId).select("-password");
+
+// Tells both users (on all their devices) about a change, each with the other user
+const emitToBoth = (event, userA, userB, payloadFor) => {
+  io.to(getUserRoom(userA._id)).emit(event, payloadFor(userB));
+  io.to(getUserRoom(userB._id)).emit(event, payloadFor(userA));
+};
+
+export const getContacts = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const [links, me] = await Promise.all([
+      Contact.find({ $or: [{ requester: myId }, { recipient: myId }] })
+        .sort({ updatedAt: -1 })
+        .populate("requester recipient", "-password"),
+      User.findById(myId).select("blockedUsers").populate("blockedUsers", "fullName email profilePic"),
+    ]);
+
+    const contacts = [];
+    const incoming = [];
+    const outgoing = [];
+    for (const link of links) {
+      const isRequester = link.requester?._id.equals(myId);
+      const user = isRequester ? link.recipient : link.requester;
+      if (!user) continue; // The other account no longer exists
+
+      if (link.status === "accepted") contacts.push(user);
+      else if (isRequester) outgoing.push(toRequest(link, user));
+      else incoming.push(toRequest(link, user));
+    }
+
+    res.status(200).json({ contacts, incoming, outgoing, blocked: me?.blockedUsers || [] });
+  } catch (error) {
+    console.log("Error in getContacts controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Sends a request to the user with that email. If they already asked us, this accepts it.
+export const addContact = async (req, res) => {
+  try {
+    const email = req.body.email?.trim().toLowerCase();
+    const me = req.user;
+
+    if (!email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const user = await User.findOne({ email }).select("-password");
+    if (!user) {
+      return res.status(404).json({ error: "No user with that email" });
+    }
+    if (user._id.equals(me._id)) {
+      return res.status(400).json({ error: "You can't add yourself" });
+    }
+    if (me.blockedUsers.some((id) => id.equals(user._id))) {
+      return res.status(400).json({ error: "Unblock this user first" });
+    }
+    // Someone who blocked us can't be found
+    if (user.blockedUsers.some((id) => id.equals(me._id))) {
+      return res.status(404).json({ error: "No user with that email" });
+    }
+
+    const existing = await Contact.findBetween(me._id, user._id);
+    if (existing?.status === "accepted") {
+      return res.status(400).json({ error: "Already in your contacts" });
+    }
+    if (existing?.requester.equals(me._id)) {
+      return res.status(400).json({ error: "Request already sent" });
+    }
+
+    const publicMe = await findPublicUser(me._id);
+
+    if (existing) {
+      existing.status = "accepted";
+      await existing.save();
+      emitToBoth("contactAccepted", publicMe, user, (other) => ({ user: other }));
+      await broadcastOnlineUsers();
+      return res.status(200).json({ contact: user });
+    }
+
+    const request = await Contact.create({ requester: me._id, recipient: user._id });
+    io.to(getUserRoom(user._id)).emit("contactRequest", toRequest(request, publicMe));
+
+    res.status(201).json({ request: toRequest(request, user) });
+  } catch (error) {
+    console.log("Error in addContact controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Loads a pending request addressed to the current user
+const findIncomingRequest = async (requestId, userId) => {
+  if (!mongoose.isValidObjectId(requestId)) return null;
+  return Contact.findOne({ _id: requestId, recipient: userId, status: "pending" }).populate(
+    "requester",
+    "-password"
+  );
+};
+
+export const acceptContactRequest = async (req, res) => {
+  try {
+    const request = await findIncomingRequest(req.params.id, req.user._id);
+    if (!request?.requester) {
+      return res.status(404).json({ error: "Contact request not found" });
+    }
+
+    request.status = "accepted";
+    await request.save();
+
+    const me = await findPublicUser(req.user._id);
+    emitToBoth("contactAccepted", me, request.requester, (other) => ({ user: other }));
+    await broadcastOnlineUsers();
+
+    res.status(200).json({ contact: request.requester });
+  } catch (error) {
+    console.log("Error in acceptContactRequest controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const declineContactRequest = async (req, res) => {
+  try {
+    const request = await findIncomingRequest(req.params.id, req.user._id);
+    if (!request) {
+      return res.status(404).json({ error: "Contact request not found" });
+    }
+
+    await request.deleteOne();
+    if (request.requester) {
+      emitToBoth("contactRemoved", req.user, request.requester, (other) => ({ userId: other._id }));
+    }
+
+    res.status(200).json({ message: "Contact request declined" });
+  } catch (error) {
+    console.log("Error in declineContactRequest controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Removes a contact, or withdraws a request we sent them
+export const removeContact = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: "Contact not found" });
+    }
+
+    const contact = await Contact.findBetween(req.user._id, userId);
+    const isOwnRequest = contact?.requester.equals(req.user._id);
+    if (!contact || (contact.status === "pending" && !isOwnRequest)) {
+      return res.status(404).json({ error: "Contact not found" });
+    }
+
+    await contact.deleteOne();
+    emitToBoth("contactRemoved", req.user, { _id: userId }, (other) => ({ userId: other._id }));
+    await broadcastOnlineUsers();
+
+    res.status(200).json({ message: "Contact removed" });
+  } catch (error) {
+    console.log("Error in removeContact controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const findBlockTarget = async (userId, myId) => {
+  if (!mongoose.isValidObjectId(userId) || myId.equals(userId)) return null;
+  return User.findById(userId).select("fullName email profilePic");
+};
+
+// Blocking keeps an accepted contact but drops a pending request either way
+export const blockUser = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const user = await findBlockTarget(req.params.userId, myId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      myId,
+      { $addToSet: { blockedUsers: user._id } },
+      { new: true }
+    ).select("blockedUsers");
+
+    const link = await Contact.findBetween(myId, user._id);
+    if (link?.status === "pending") {
+      await link.deleteOne();
+      emitToBoth("contactRemoved", req.user, user, (other) => ({ userId: other._id }));
+    }
+
+    await updatePresenceAfterBlock(myId, user._id, true);
+
+    res.status(200).json({ blockedUsers: updated.blockedUsers, user });
+  } catch (error) {
+    console.log("Error in blockUser controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const unblockUser = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const user = await findBlockTarget(req.params.userId, myId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const updated = await User.findByIdAndUpdate(
+      myId,
+      { $pull: { blockedUsers: user._id } },
+      { new: true }
+    ).select("blockedUsers");
+
+    await updatePresenceAfterBlock(myId, user._id, false);
+
+    res.status(200).json({ blockedUsers: updated.blockedUsers });
+  } catch (error) {
+    console.log("Error in unblockUser controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
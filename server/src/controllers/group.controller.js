@@ -0,0 +1,245 @@
+import mongoose from "mongoose";
+import Group from "../models/group.model.js";
+import User from "../models/user.model.js";
+
+import { canMessageUser } from "../lib/messages.js";
+import { getGroupRoom, io, joinGroupRoom, leaveGroupRoom } from "../lib/socket.js";
+
+const populateMembers = (query) => query.populate("members.user", "-password");
+
+// Keep only ids of existing users, deduplicated and without the given exclusions.
+// Like direct messages, only the requester's contacts and conversation partners can
+// be added, and nobody blocked either way: { status, error } otherwise.
+const resolveMemberIds = async (requester, memberIds, exclude = []) => {
+  if (!Array.isArray(memberIds)) return { members: [] };
+
+  const excluded = exclude.map((id) => id.toString());
+  const ids = [...new Set(memberIds.map(String))].filter(
+    (id) => mongoose.isValidObjectId(id) && !excluded.includes(id)
+  );
+
+  const users = await User.find({ _id: { $in: ids } }).select("_id blockedUsers");
+  const isBlocked = (user) =>
+    user.blockedUsers.some((id) => id.equals(requester._id)) ||
+    requester.blockedUsers.some((id) => id.equals(user._id));
+  if (users.some(isBlocked)) {
+    return { status: 403, error: "You can't add some of these users" };
+  }
+  for (const user of users) {
+    if (!(await canMessageUser(requester._id, user._id))) {
+      return { status: 403, error: "You can only add your contacts to a group" };
+    }
+  }
+
+  return { members: users.map((u) => u._id) };
+};
+
+const emitGroupUpdate = async (groupId) => {
+  const group = await populateMembers(Group.findById(groupId));
+  io.to(getGroupRoom(groupId)).emit("groupUpdated", group);
+  return group;
+};
+
+export const getGroups = async (req, res) => {
+  try {
+    const groups = await populateMembers(
+      Group.find({ "members.user": req.user._id }).sort({ updatedAt: -1 })
+    );
+
+    res.status(200).json(groups);
+  } catch (error) {
+    console.log("Error in getGroups controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Groups the requester shares with another user, for their contact info
+export const getCommonGroups = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const groups = await populateMembers(
+      Group.find({ "members.user": { $all: [req.user._id, userId] } }).sort({ updatedAt: -1 })
+    );
+
+    res.status(200).json(groups);
+  } catch (error) {
+    console.log("Error in getCommonGroups controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const createGroup = async (req, res) => {
+  try {
+    const { name, memberIds } = req.body;
+    const myId = req.user._id;
+
+    if (!name?.trim()) {
+      return res.status(400).json({ error: "Group name is required" });
+    }
+
+    const { members, status, error } = await resolveMemberIds(req.user, memberIds, [myId]);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (members.length === 0) {
+      return res.status(400).json({ error: "Select at least one member" });
+    }
+
+    const group = await Group.create({
+      name: name.trim(),
+      createdBy: myId,
+      members: [
+        { user: myId, role: "admin" },
+        ...members.map((user) => ({ user, role: "member" })),
+      ],
+    });
+
+    joinGroupRoom([myId, ...members].map(String), group._id);
+    const populated = await emitGroupUpdate(group._id);
+
+    res.status(201).json(populated);
+  } catch (error) {
+    console.log("Error in createGroup controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const renameGroup = async (req, res) => {
+  try {
+    const { name } = req.body;
+    const group = await Group.findById(req.params.id);
+
+    if (!group || !group.getMember(req.user._id)) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    if (!group.isAdmin(req.user._id)) {
+      return res.status(403).json({ error: "Only admins can rename the group" });
+    }
+    if (!name?.trim()) {
+      return res.status(400).json({ error: "Group name is required" });
+    }
+
+    group.name = name.trim();
+    await group.save();
+
+    res.status(200).json(await emitGroupUpdate(group._id));
+  } catch (error) {
+    console.log("Error in renameGroup controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const addGroupMembers = async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group || !group.getMember(req.user._id)) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    if (!group.isAdmin(req.user._id)) {
+      return res.status(403).json({ error: "Only admins can add members" });
+    }
+
+    const existing = group.members.map((m) => m.user);
+    const { members, status, error } = await resolveMemberIds(req.user, req.body.memberIds, existing);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (members.length === 0) {
+      return res.status(400).json({ error: "No new members to add" });
+    }
+
+    group.members.push(...members.map((user) => ({ user, role: "member" })));
+    await group.save();
+
+    joinGroupRoom(members.map(String), group._id);
+
+    res.status(200).json(await emitGroupUpdate(group._id));
+  } catch (error) {
+    console.log("Error in addGroupMembers controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Admins can remove anyone; any member can remove themselves (leave the group)
+export const removeGroupMember = async (req, res) => {
+  try {
+    const { id: groupId, userId } = req.params;
+    const myId = req.user._id;
+    const group = await Group.findById(groupId);
+
+    if (!group || !group.getMember(myId)) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const isSelf = userId === myId.toString();
+    if (!isSelf && !group.isAdmin(myId)) {
+      return res.status(403).json({ error: "Only admins can remove members" });
+    }
+    if (!group.getMember(userId)) {
+      return res.status(404).json({ error: "User is not a member of this group" });
+    }
+
+    group.members = group.members.filter((m) => m.user.toString() !== userId);
+
+    if (group.members.length === 0) {
+      await group.deleteOne();
+    } else {
+      // A group always keeps at least one admin
+      if (!group.members.some((m) => m.role === "admin")) {
+        group.members[0].role = "admin";
+      }
+      await group.save();
+    }
+
+    io.to(getGroupRoom(groupId)).emit("groupRemoved", { groupId, userId });
+    leaveGroupRoom([userId], groupId);
+
+    if (group.members.length === 0) {
+      return res.status(200).json({ message: "Group deleted" });
+    }
+
+    res.status(200).json(await emitGroupUpdate(groupId));
+  } catch (error) {
+    console.log("Error in removeGroupMember controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const updateMemberRole = async (req, res) => {
+  try {
+    const { id: groupId, userId } = req.params;
+    const { role } = req.body;
+    const group = await Group.findById(groupId);
+
+    if (!group || !group.getMember(req.user._id)) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+    if (!group.isAdmin(req.user._id)) {
+      return res.status(403).json({ error: "Only admins can change roles" });
+    }
+    if (!["admin", "member"].includes(role)) {
+      return res.status(400).json({ error: "Invalid role" });
+    }
+
+    const member = group.getMember(userId);
+    if (!member) {
+      return res.status(404).json({ error: "User is not a member of this group" });
+    }
+
+    member.role = role;
+    if (!group.members.some((m) => m.role === "admin")) {
+      return res.status(400).json({ error: "A group needs at least one admin" });
+    }
+    await group.save();
+
+    res.status(200).json(await emitGroupUpdate(groupId));
+  } catch (error) {
+    console.log("Error in updateMemberRole controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
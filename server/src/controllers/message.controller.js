@@ -1,15 +1,132 @@
+import mongoose from "mongoose";
 import User from "../models/user.model.js";
 import Message from "../models/message.model.js";
+import Group from "../models/group.model.js";
+import Contact from "../models/contact.model.js";
 
-import cloudinary from "../lib/cloudinary.js";
-import { getReceiverSocketId, io } from "../lib/socket.js";
+import { deleteAssetByUrl } from "../lib/cloudinary.js";
+import { REPLY_PREVIEW_FIELDS, canMessageUser, isBlockedBetween, storeMessage } from "../lib/messages.js";
+import {
+  deliverGroupMessage,
+  deliverMessage,
+  getGroupRoom,
+  getUserRoom,
+  io,
+  markChatAsRead,
+  recordGroupReceipt,
+} from "../lib/socket.js";
 
+// How long after sending a message its sender may still delete it for everyone
+const DELETE_FOR_EVERYONE_WINDOW_MS =
+  (Number(process.env.DELETE_FOR_EVERYONE_WINDOW_MINUTES) || 60) * 60 * 1000;
+
+// How long after sending a text message its sender may still edit it
+const EDIT_MESSAGE_WINDOW_MS = (Number(process.env.EDIT_MESSAGE_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Shapes a message for one viewer: per-user state becomes flags and other
+// users' state is dropped
+const toClientMessage = (message, userId) => {
+  const data = message.toObject ? message.toObject() : { ...message };
+  const id = userId.toString();
+
+  data.isStarred = (data.starredBy || []).some((u) => u.toString() === id);
+  delete data.starredBy;
+  delete data.deletedFor;
+  delete data.editHistory;
+  return data;
+};
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+// Returns the newest `limit` messages matching the filter that are older than
+// the `before` message id, in chronological order
+const findMessagePage = async (filter, { before, limit }, viewerId) => {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const query = { $and: [filter] };
+
+  if (before && mongoose.isValidObjectId(before)) {
+    const cursor = await Message.findById(before).select("createdAt");
+    if (cursor) {
+      // _id breaks ties between messages created in the same millisecond
+      query.$and.push({
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursor._id } },
+        ],
+      });
+    }
+  }
+
+  const messages = await Message.find(query)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .populate("replyTo", REPLY_PREVIEW_FIELDS);
+
+  return {
+    messages: messages
+      .slice(0, pageSize)
+      .reverse()
+      .map((m) => toClientMessage(m, viewerId)),
+    hasMore: messages.length > pageSize,
+  };
+};
+
+// Loads a message only if the user is one of its participants
+const findAccessibleMessage = async (messageId, userId) => {
+  if (!mongoose.isValidObjectId(messageId)) return null;
+
+  const message = await Message.findById(messageId);
+  if (!message) return null;
+
+  const id = userId.toString();
+  if (message.groupId) {
+    const group = await Group.findById(message.groupId);
+    return group?.getMember(id) ? message : null;
+  }
+
+  const participants = [message.senderId.toString(), message.receiverId.toString()];
+  return participants.includes(id) ? message : null;
+};
+
+// Messages of one chat as seen by the user: a group they belong to or a direct
+// conversation with an existing user. Null when there is no such chat
+const getChatFilter = async (chatId, userId) => {
+  if (!mongoose.isValidObjectId(chatId)) return null;
+
+  const group = await Group.findById(chatId);
+  if (group) return group.getMember(userId) ? { groupId: group._id } : null;
+
+  if (!(await User.exists({ _id: chatId }))) return null;
+  return {
+    $or: [
+      { senderId: userId, receiverId: chatId },
+      { senderId: chatId, receiverId: userId },
+    ],
+  };
+};
+
+// Contacts plus anyone the user already has a one-to-one conversation with
 export const getUsersForSidebar = async (req, res) => {
   try {
     const loggedInUserId = req.user._id;
-    const filteredUsers = await User.find({ _id: { $ne: loggedInUserId } }).select("-password");
+    const [contactIds, sentTo, receivedFrom] = await Promise.all([
+      Contact.getContactIds(loggedInUserId),
+      Message.distinct("receiverId", { senderId: loggedInUserId, groupId: { $exists: false } }),
+      Message.distinct("senderId", { receiverId: loggedInUserId }),
+    ]);
+    const filteredUsers = await User.find({
+      _id: { $in: [...contactIds, ...sentTo, ...receivedFrom], $ne: loggedInUserId },
+    }).select("-password");
+
+    // People who blocked us don't show us when they were last seen
+    const users = filteredUsers.map((user) => {
+      const json = user.toJSON();
+      if (user.blockedUsers.some((id) => id.equals(loggedInUserId))) delete json.lastSeen;
+      return json;
+    });
 
-    res.status(200).json(filteredUsers);
+    res.status(200).json(users);
   } catch (error) {
     console.error("Error in getUsersForSidebar: ", error.message);
     res.status(500).json({ error: "Internal server error" });
@@ -21,14 +138,19 @@ export const getMessages = async (req, res) => {
     const { id: userToChatId } = req.params;
     const myId = req.user._id;
 
-    const messages = await Message.find({
-      $or: [
-        { senderId: myId, receiverId: userToChatId },
-        { senderId: userToChatId, receiverId: myId },
-      ],
-    });
+    const page = await findMessagePage(
+      {
+        $or: [
+          { senderId: myId, receiverId: userToChatId },
+          { senderId: userToChatId, receiverId: myId },
+        ],
+        deletedFor: { $ne: myId },
+      },
+      req.query,
+      myId
+    );
 
-    res.status(200).json(messages);
+    res.status(200).json(page);
   } catch (error) {
     console.log("Error in getMessages controller: ", error.message);
     res.status(500).json({ error: "Internal server error" });
@@ -38,26 +160,30 @@ export const getMessages = async (req, res) => {
 export const getMediaMessages = async (req, res) => {
   try {
     const myId = req.user._id;
+    const { chatId } = req.query;
+
+    // One conversation's media when ?chatId= is given, otherwise everything the user sent or received
+    const chatFilter = chatId
+      ? await getChatFilter(chatId, myId)
+      : { $or: [{ senderId: myId }, { receiverId: myId }] };
+    if (!chatFilter) {
+      return res.status(404).json({ error: "Chat not found" });
+    }
 
-    // Find all messages that have either image or audio, where the user is sender or receiver
     const mediaMessages = await Message.find({
       $and: [
-        {
-          $or: [
-            { senderId: myId },
-            { receiverId: myId },
-          ],
-        },
+        chatFilter,
         {
           $or: [
             { image: { $exists: true, $ne: null } },
             { audio: { $exists: true, $ne: null } },
           ],
         },
+        { deletedFor: { $ne: myId } },
       ],
     }).sort({ createdAt: -1 }); // Newest first
 
-    res.status(200).json(mediaMessages);
+    res.status(200).json(mediaMessages.map((m) => toClientMessage(m, myId)));
   } catch (error) {
     console.log("Error in getMediaMessages controller: ", error.message);
     res.status(500).json({ error: "Internal server error" });
@@ -66,54 +192,853 @@ export const getMediaMessages = async (req, res) => {
 
 export const sendMessage = async (req, res) => {
   try {
-    const { text, image, audio, audioDuration } = req.body;
     const { id: receiverId } = req.params;
+    const { message, isNew, status, error } = await storeMessage(req.user._id, { receiverId }, req.body);
+    if (error) return res.status(status).json({ error });
+    if (!isNew) return res.status(200).json(message);
+
+    await deliverMessage(message);
+
+    res.status(201).json(message);
+  } catch (error) {
+    console.log("Error in sendMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const getGroupMessages = async (req, res) => {
+  try {
+    const { id: groupId } = req.params;
+    const myId = req.user._id;
+
+    const group = await Group.findById(groupId);
+    if (!group || !group.getMember(myId)) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const page = await findMessagePage({ groupId, deletedFor: { $ne: myId } }, req.query, myId);
+
+    res.status(200).json(page);
+  } catch (error) {
+    console.log("Error in getGroupMessages controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const sendGroupMessage = async (req, res) => {
+  try {
+    const { id: groupId } = req.params;
+    const { message, group, isNew, status, error } = await storeMessage(req.user._id, { groupId }, req.body);
+    if (error) return res.status(status).json({ error });
+    if (!isNew) return res.status(200).json(message);
+
+    await deliverGroupMessage(message, group);
+
+    res.status(201).json(message);
+  } catch (error) {
+    console.log("Error in sendGroupMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Copies an existing message to several chats, reusing the uploaded media URLs
+export const forwardMessage = async (req, res) => {
+  try {
+    const { id: messageId } = req.params;
+    const { receiverIds = [], groupIds = [] } = req.body;
     const senderId = req.user._id;
 
-    let imageUrl;
-    if (image) {
-      // Upload base64 image to cloudinary
-      const uploadResponse = await cloudinary.uploader.upload(image);
-      imageUrl = uploadResponse.secure_url;
+    if (!Array.isArray(receiverIds) || !Array.isArray(groupIds)) {
+      return res.status(400).json({ error: "Recipients must be arrays" });
+    }
+    if (receiverIds.length === 0 && groupIds.length === 0) {
+      return res.status(400).json({ error: "Select at least one recipient" });
     }
 
-    let audioUrl;
-    if (audio) {
-      // Upload base64 audio to cloudinary
-      const uploadResponse = await cloudinary.uploader.upload(audio, {
-        resource_type: "video", // Cloudinary stores audio as video
-        folder: "voice_messages",
-      });
-      audioUrl = uploadResponse.secure_url;
+    const original = await findAccessibleMessage(messageId, senderId);
+    if (!original) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    if (original.deletedForEveryone) {
+      return res.status(400).json({ error: "Deleted messages cannot be forwarded" });
     }
 
-    const newMessage = new Message({
+    const content = {
       senderId,
-      receiverId,
-      text,
-      image: imageUrl,
-      audio: audioUrl,
-      audioDuration,
+      text: original.text,
+      image: original.image,
+      audio: original.audio,
+      audioDuration: original.audioDuration,
+      forwarded: true,
+      forwardCount: original.forwardCount + 1,
+    };
+
+    const receivers = await User.find({
+      _id: { $in: receiverIds.filter((id) => mongoose.isValidObjectId(id)), $ne: senderId },
+    }).select("_id");
+    const groups = await Group.find({
+      _id: { $in: groupIds.filter((id) => mongoose.isValidObjectId(id)) },
+      "members.user": senderId,
+    });
+
+    const forwarded = [];
+    for (const receiver of receivers) {
+      if (
+        (await isBlockedBetween(senderId, receiver._id)) ||
+        !(await canMessageUser(senderId, receiver._id))
+      ) {
+        continue;
+      }
+      const copy = new Message({ ...content, receiverId: receiver._id });
+      await copy.save();
+      await deliverMessage(copy);
+      forwarded.push(copy);
+    }
+    for (const group of groups) {
+      const copy = new Message({ ...content, groupId: group._id });
+      await copy.save();
+      await deliverGroupMessage(copy, group);
+      forwarded.push(copy);
+    }
+
+    if (forwarded.length === 0) {
+      return res.status(403).json({ error: "You can't forward to these chats" });
+    }
+
+    res.status(201).json(forwarded);
+  } catch (error) {
+    console.log("Error in forwardMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const setStarred = (starred) => async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const message = await findAccessibleMessage(req.params.id, myId);
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    await Message.updateOne(
+      { _id: message._id },
+      starred ? { $addToSet: { starredBy: myId } } : { $pull: { starredBy: myId } }
+    );
+
+    res.status(200).json({ messageId: message._id, isStarred: starred });
+  } catch (error) {
+    console.log("Error in setStarred controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const starMessage = setStarred(true);
+export const unstarMessage = setStarred(false);
+
+export const getStarredMessages = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const messages = await Message.find({ starredBy: myId, deletedFor: { $ne: myId } })
+      .sort({ createdAt: -1 }) // Newest first
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .populate("senderId", "fullName profilePic")
+      .populate("receiverId", "fullName profilePic")
+      .populate("groupId", "name groupPic");
+
+    res.status(200).json({
+      messages: messages.slice(0, limit).map((m) => toClientMessage(m, myId)),
+      page,
+      hasMore: messages.length > limit,
+    });
+  } catch (error) {
+    console.log("Error in getStarredMessages controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Media can be shared by forwarded copies, so an asset is only destroyed
+// once no live message points at it anymore
+const cleanupMediaAsset = async (url, resourceType) => {
+  if (!url) return;
+  const stillUsed = await Message.exists({
+    $or: [{ image: url }, { audio: url }],
+  });
+  if (stillUsed) return;
+
+  try {
+    await deleteAssetByUrl(url, resourceType);
+  } catch (error) {
+    console.log("Error deleting media asset:", error.message);
+  }
+};
+
+// Pushes an update about an existing message to every device in its conversation,
+// including the requester's other tabs
+const emitToConversation = (message, event, payload) => {
+  if (message.groupId) {
+    io.to(getGroupRoom(message.groupId)).emit(event, payload);
+    return;
+  }
+
+  io.to(getUserRoom(message.senderId)).to(getUserRoom(message.receiverId)).emit(event, payload);
+};
+
+// scope "me" hides the message for the requester only; scope "everyone" turns it
+// into a tombstone for all participants (sender only, within the time window)
+export const deleteMessage = async (req, res) => {
+  try {
+    const { scope = "me" } = req.query;
+    const myId = req.user._id;
+
+    const message = await findAccessibleMessage(req.params.id, myId);
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    if (scope === "me") {
+      await Message.updateOne(
+        { _id: message._id },
+        { $addToSet: { deletedFor: myId }, $pull: { starredBy: myId } }
+      );
+      return res.status(200).json({ messageId: message._id, scope });
+    }
+
+    if (scope !== "everyone") {
+      return res.status(400).json({ error: "Invalid delete scope" });
+    }
+    if (message.senderId.toString() !== myId.toString()) {
+      return res.status(403).json({ error: "You can only delete your own messages for everyone" });
+    }
+    if (message.deletedForEveryone) {
+      return res.status(200).json({ messageId: message._id, scope });
+    }
+    if (Date.now() - message.createdAt.getTime() > DELETE_FOR_EVERYONE_WINDOW_MS) {
+      return res.status(403).json({ error: "This message is too old to delete for everyone" });
+    }
+
+    const { image, audio } = message;
+    message.set({
+      text: undefined,
+      image: undefined,
+      audio: undefined,
+      audioDuration: undefined,
+      starredBy: [],
+      reactions: [],
+      editHistory: [],
+      editedAt: null,
+      deletedForEveryone: true,
+      deletedAt: new Date(),
+    });
+    await message.save();
+
+    await cleanupMediaAsset(image, "image");
+    await cleanupMediaAsset(audio, "video"); // Cloudinary stores audio as video
+
+    emitToConversation(message, "messageDeleted", {
+      messageId: message._id,
+      deletedAt: message.deletedAt,
+    });
+
+    res.status(200).json({ messageId: message._id, scope, deletedAt: message.deletedAt });
+  } catch (error) {
+    console.log("Error in deleteMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Sent/delivered/read times of one of the requester's own messages; for groups
+// the times are listed per member
+export const getMessageInfo = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const message = await findAccessibleMessage(req.params.id, myId);
+
+    if (!message || message.senderId.toString() !== myId.toString()) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const info = {
+      messageId: message._id,
+      status: message.status,
+      sentAt: message.createdAt,
+      editedAt: message.editedAt,
+      editHistory: message.editHistory,
+    };
+
+    if (!message.groupId) {
+      return res.status(200).json({
+        ...info,
+        deliveredAt: message.deliveredAt,
+        readAt: message.readAt,
+      });
+    }
+
+    const group = await Group.findById(message.groupId).populate(
+      "members.user",
+      "fullName profilePic"
+    );
+    const receiptAt = (field, userId) =>
+      message[field].find((r) => r.userId.toString() === userId.toString())?.at;
+
+    const recipients = group.members
+      .filter((m) => m.user._id.toString() !== myId.toString())
+      .map((m) => ({
+        user: m.user,
+        deliveredAt: receiptAt("deliveredTo", m.user._id),
+        readAt: receiptAt("readBy", m.user._id),
+      }));
+
+    res.status(200).json({ ...info, recipients });
+  } catch (error) {
+    console.log("Error in getMessageInfo controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const editMessage = async (req, res) => {
+  try {
+    const { text } = req.body;
+    const myId = req.user._id;
+
+    const message = await findAccessibleMessage(req.params.id, myId);
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    if (message.senderId.toString() !== myId.toString()) {
+      return res.status(403).json({ error: "You can only edit your own messages" });
+    }
+    if (message.deletedForEveryone || message.image || message.audio || !message.text) {
+      return res.status(400).json({ error: "Only text messages can be edited" });
+    }
+    if (Date.now() - message.createdAt.getTime() > EDIT_MESSAGE_WINDOW_MS) {
+      return res.status(403).json({ error: "This message is too old to edit" });
+    }
+    if (!text?.trim()) {
+      return res.status(400).json({ error: "Message text is required" });
+    }
+    if (text.trim() === message.text) {
+      return res.status(200).json(toClientMessage(message, myId));
+    }
+
+    const editedAt = new Date();
+    message.editHistory.push({ text: message.text, editedAt });
+    message.text = text.trim();
+    message.editedAt = editedAt;
+    await message.save();
+
+    emitToConversation(message, "messageEdited", {
+      messageId: message._id,
+      text: message.text,
+      editedAt,
     });
 
-    await newMessage.save();
+    res.status(200).json(toClientMessage(message, myId));
+  } catch (error) {
+    console.log("Error in editMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const MAX_REACTION_LENGTH = 32; // Room for multi-codepoint emoji (skin tones, ZWJ sequences)
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+// Exactly one user-perceived character, and that character an emoji (or a flag)
+const isSingleEmoji = (value) =>
+  typeof value === "string" &&
+  value.length <= MAX_REACTION_LENGTH &&
+  [...graphemeSegmenter.segment(value)].length === 1 &&
+  /^(\p{Extended_Pictographic}|\p{Regional_Indicator})/u.test(value);
+
+// Sets the requester's reaction, or toggles it off when the same emoji is sent again
+export const reactToMessage = async (req, res) => {
+  try {
+    const { emoji } = req.body;
+    const myId = req.user._id;
+
+    if (!isSingleEmoji(emoji)) {
+      return res.status(400).json({ error: "A single emoji is required" });
+    }
+
+    const message = await findAccessibleMessage(req.params.id, myId);
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+    if (message.deletedForEveryone) {
+      return res.status(400).json({ error: "Deleted messages cannot be reacted to" });
+    }
+
+    const current = message.reactions.find((r) => r.userId.toString() === myId.toString());
+    const update =
+      current?.emoji === emoji
+        ? { $pull: { reactions: { userId: myId } } }
+        : // Drop any previous reaction and append the new one in a single atomic write
+          [
+            {
+              $set: {
+                reactions: {
+                  $concatArrays: [
+                    {
+                      $filter: {
+                        input: { $ifNull: ["$reactions", []] },
+                        cond: { $ne: ["$$this.userId", myId] },
+                      },
+                    },
+                    [{ userId: myId, emoji: { $literal: emoji }, reactedAt: "$$NOW" }],
+                  ],
+                },
+              },
+            },
+          ];
+
+    const updated = await Message.findByIdAndUpdate(message._id, update, { new: true });
+    const payload = { messageId: updated._id, reactions: updated.reactions };
+    emitToConversation(updated, "messageReaction", payload);
 
-    const receiverSocketId = getReceiverSocketId(receiverId);
-    console.log("Sending message to:", receiverId, "Socket ID:", receiverSocketId);
+    res.status(200).json(payload);
+  } catch (error) {
+    console.log("Error in reactToMessage controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const removeReaction = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const message = await findAccessibleMessage(req.params.id, myId);
+    if (!message) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const updated = await Message.findByIdAndUpdate(
+      message._id,
+      { $pull: { reactions: { userId: myId } } },
+      { new: true }
+    );
+    const payload = { messageId: updated._id, reactions: updated.reactions };
+    emitToConversation(updated, "messageReaction", payload);
+
+    res.status(200).json(payload);
+  } catch (error) {
+    console.log("Error in removeReaction controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const SEARCH_SNIPPET_RADIUS = 40;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Cuts the text around the first hit and splits it into plain/matched segments,
+// so clients can highlight matches without rendering HTML
+const buildSnippet = (text, terms) => {
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  const firstMatch = Math.max(text.search(pattern), 0);
+  const start = Math.max(firstMatch - SEARCH_SNIPPET_RADIUS, 0);
+  const end = Math.min(firstMatch + SEARCH_SNIPPET_RADIUS * 2, text.length);
+
+  // split() with a capture group puts the matches at the odd indexes
+  const segments = text
+    .slice(start, end)
+    .split(pattern)
+    .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+    .filter((segment) => segment.text);
+
+  if (start > 0) segments.unshift({ text: "…", match: false });
+  if (end < text.length) segments.push({ text: "…", match: false });
+  return segments;
+};
 
-    if (receiverSocketId) {
-      // If receiver is online, mark as delivered and emit
-      newMessage.status = "delivered";
-      await newMessage.save();
-      io.to(receiverSocketId).emit("newMessage", newMessage);
-      console.log("Message emitted successfully to receiver");
+// Searches message text in the requester's conversations: one chat when
+// `userId` or `groupId` is given, every chat otherwise
+export const searchMessages = async (req, res) => {
+  try {
+    const { q, userId, groupId } = req.query;
+    const myId = req.user._id;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const terms = (q || "").split(/\s+/).map((t) => t.replace(/["-]/g, "")).filter(Boolean);
+    if (terms.length === 0) {
+      return res.status(400).json({ error: "Search query is required" });
+    }
+    if (groupId && !mongoose.isValidObjectId(groupId)) {
+      return res.status(400).json({ error: "Invalid group" });
+    }
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: "Invalid user" });
+    }
+
+    let scope;
+    if (groupId) {
+      const group = await Group.findById(groupId);
+      if (!group || !group.getMember(myId)) {
+        return res.status(404).json({ error: "Group not found" });
+      }
+      scope = { groupId };
+    } else if (userId) {
+      scope = {
+        $or: [
+          { senderId: myId, receiverId: userId },
+          { senderId: userId, receiverId: myId },
+        ],
+      };
     } else {
-      console.log("Receiver not online, message saved but not emitted");
+      const groups = await Group.find({ "members.user": myId }).select("_id");
+      scope = {
+        $or: [
+          { senderId: myId, groupId: { $exists: false } },
+          { receiverId: myId },
+          { groupId: { $in: groups.map((g) => g._id) } },
+        ],
+      };
     }
 
-    res.status(201).json(newMessage);
+    const messages = await Message.find({
+      $text: { $search: terms.join(" ") },
+      ...scope,
+      deletedFor: { $ne: myId },
+      deletedForEveryone: { $ne: true },
+    })
+      .sort({ createdAt: -1 }) // Newest first
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .populate("senderId", "fullName profilePic")
+      .populate("receiverId", "fullName profilePic")
+      .populate("groupId", "name groupPic");
+
+    res.status(200).json({
+      results: messages.slice(0, limit).map((m) => ({
+        ...toClientMessage(m, myId),
+        snippet: buildSnippet(m.text, terms),
+      })),
+      page,
+      hasMore: messages.length > limit,
+    });
   } catch (error) {
-    console.log("Error in sendMessage controller: ", error.message);
+    console.log("Error in searchMessages controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const SYNC_BATCH_SIZE = 200;
+
+// Sync cursors are "<updatedAt>_<id>" of the last change handed out, since bulk
+// updates give many messages the same updatedAt. A bare date (the starting cursor,
+// or one saved by an older client) matches strictly later changes.
+const parseSyncCursor = (value) => {
+  const [time, id] = String(value).split("_");
+  const updatedAt = new Date(time);
+  if (!value || isNaN(updatedAt)) return null;
+  return { updatedAt, id: mongoose.isValidObjectId(id) ? id : null };
+};
+
+const changedAfter = ({ updatedAt, id }) =>
+  id
+    ? { $or: [{ updatedAt: { $gt: updatedAt } }, { updatedAt, _id: { $gt: id } }] }
+    : { updatedAt: { $gt: updatedAt } };
+
+// The requester received these messages through sync, so they count as delivered;
+// senders hear about it the same way as with a live messageDelivered
+const markSyncedAsDelivered = async (messages, userId, groups) => {
+  const now = new Date();
+  const directIds = [];
+
+  for (const message of messages) {
+    if (message.deletedForEveryone || message.senderId.equals(userId)) continue;
+
+    if (message.groupId) {
+      const group = groups.find((g) => g._id.equals(message.groupId));
+      await recordGroupReceipt(message, userId, "delivered", group);
+    } else if (message.status === "sent") {
+      message.status = "delivered";
+      message.deliveredAt = now;
+      directIds.push(message._id);
+    }
+  }
+
+  if (directIds.length === 0) return;
+
+  // Conditional so a read that lands meanwhile is never downgraded
+  await Message.updateMany(
+    { _id: { $in: directIds }, status: "sent" },
+    { status: "delivered", deliveredAt: now }
+  );
+  for (const message of messages) {
+    if (directIds.some((id) => id.equals(message._id))) {
+      io.to(getUserRoom(message.senderId)).emit("messageStatusUpdate", {
+        messageId: message._id,
+        status: "delivered",
+      });
+    }
+  }
+};
+
+// Catch-up for a reconnecting client: everything in the requester's conversations
+// that changed after the `since` cursor (new messages, status changes, edits,
+// deletions, reactions), oldest change first. Without a cursor the client is
+// only handed one to start from.
+export const syncMessages = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const since = parseSyncCursor(req.query.since);
+
+    if (!since) {
+      return res.status(200).json({ messages: [], removedIds: [], cursor: new Date(), hasMore: false });
+    }
+
+    const groups = await Group.find({ "members.user": myId });
+    const changed = await Message.find({
+      $and: [
+        changedAfter(since),
+        {
+          $or: [
+            { senderId: myId, groupId: { $exists: false } },
+            { receiverId: myId },
+            { groupId: { $in: groups.map((g) => g._id) } },
+          ],
+        },
+      ],
+    })
+      .sort({ updatedAt: 1, _id: 1 })
+      .limit(SYNC_BATCH_SIZE + 1)
+      .populate("replyTo", REPLY_PREVIEW_FIELDS);
+
+    const batch = changed.slice(0, SYNC_BATCH_SIZE);
+    // Taken before the delivered promotion below, which bumps updatedAt again;
+    // the next sync then carries the promoted messages once more, harmlessly
+    const last = batch[batch.length - 1];
+    const cursor = last ? `${last.updatedAt.toISOString()}_${last._id}` : req.query.since;
+
+    // Messages the requester deleted for themselves only need to leave their screen
+    const isRemoved = (m) => m.deletedFor.some((u) => u.equals(myId));
+    const visible = batch.filter((m) => !isRemoved(m));
+
+    await markSyncedAsDelivered(visible, myId, groups);
+
+    res.status(200).json({
+      messages: visible.map((m) => toClientMessage(m, myId)),
+      removedIds: batch.filter(isRemoved).map((m) => m._id),
+      cursor,
+      hasMore: changed.length > SYNC_BATCH_SIZE,
+    });
+  } catch (error) {
+    console.log("Error in syncMessages controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// The chat list: every conversation's latest visible message and how many messages
+// in it the requester hasn't read yet, most recent activity first
+export const getConversations = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const groups = await Group.find({ "members.user": myId });
+    const visible = { deletedFor: { $ne: myId } };
+    const latestFirst = { $sort: { createdAt: -1 } };
+
+    const [latestDirect, unreadDirect, latestGroup, unreadGroup] = await Promise.all([
+      Message.aggregate([
+        { $match: { ...visible, groupId: { $exists: false }, $or: [{ senderId: myId }, { receiverId: myId }] } },
+        latestFirst,
+        {
+          $group: {
+            _id: { $cond: [{ $eq: ["$senderId", myId] }, "$receiverId", "$senderId"] },
+            lastMessage: { $first: "$$ROOT" },
+          },
+        },
+      ]),
+      Message.aggregate([
+        { $match: { ...visible, receiverId: myId, status: { $ne: "read" }, deletedForEveryone: { $ne: true } } },
+        { $group: { _id: "$senderId", count: { $sum: 1 } } },
+      ]),
+      Message.aggregate([
+        { $match: { ...visible, groupId: { $in: groups.map((g) => g._id) } } },
+        latestFirst,
+        { $group: { _id: "$groupId", lastMessage: { $first: "$$ROOT" } } },
+      ]),
+      groups.length === 0
+        ? []
+        : Message.aggregate([
+            {
+              $match: {
+                ...visible,
+                senderId: { $ne: myId },
+                "readBy.userId": { $ne: myId },
+                deletedForEveryone: { $ne: true },
+                // History from before the requester joined doesn't count as unread
+                $or: groups.map((g) => ({
+                  groupId: g._id,
+                  createdAt: { $gte: g.getMember(myId).joinedAt },
+                })),
+              },
+            },
+            { $group: { _id: "$groupId", count: { $sum: 1 } } },
+          ]),
+    ]);
+
+    const unreadCounts = new Map(
+      [...unreadDirect, ...unreadGroup].map(({ _id, count }) => [_id.toString(), count])
+    );
+    const toConversation = (isGroup) => ({ _id, lastMessage }) => ({
+      chatId: _id,
+      isGroup,
+      lastMessage: toClientMessage(lastMessage, myId),
+      unreadCount: unreadCounts.get(_id.toString()) || 0,
+    });
+
+    const conversations = [
+      ...latestDirect.map(toConversation(false)),
+      ...latestGroup.map(toConversation(true)),
+    ].sort((a, b) => b.lastMessage.createdAt - a.lastMessage.createdAt);
+
+    res.status(200).json(conversations);
+  } catch (error) {
+    console.log("Error in getConversations controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const markAllChatsAsRead = async (req, res) => {
+  try {
+    const myId = req.user._id;
+    const senderIds = await Message.distinct("senderId", {
+      receiverId: myId,
+      status: { $ne: "read" },
+    });
+    const groups = await Group.find({ "members.user": myId });
+
+    for (const senderId of senderIds) {
+      await markChatAsRead(myId, { senderId });
+    }
+    for (const group of groups) {
+      await markChatAsRead(myId, { groupId: group._id }, group);
+    }
+
+    res.status(200).json({ message: "All chats marked as read" });
+  } catch (error) {
+    console.log("Error in markAllChatsAsRead controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+const URL_PATTERN = /https?:\/\/[^\s<>"']+/gi;
+const DOCUMENT_EXTENSIONS = new Set([
+  "pdf", "doc", "docx", "xls", "xlsx", "ppt", "pptx", "odt", "ods", "odp",
+  "txt", "rtf", "csv", "zip", "rar", "7z",
+]);
+const MAX_LINK_MESSAGES = 500;
+
+// Trailing punctuation usually ends the sentence rather than the URL
+const trimUrl = (url) => url.replace(/[.,;:!?)\]]+$/, "");
+
+const getDocumentExtension = (url) => {
+  try {
+    const extension = new URL(url).pathname.split(".").pop().toLowerCase();
+    return DOCUMENT_EXTENSIONS.has(extension) ? extension : null;
+  } catch {
+    return null;
+  }
+};
+
+// Links found in a chat's messages, newest first, with links to document files
+// listed separately
+export const getSharedLinks = async (req, res) => {
+  try {
+    const myId = req.user._id;
+
+    const chatFilter = await getChatFilter(req.params.chatId, myId);
+    if (!chatFilter) {
+      return res.status(404).json({ error: "Chat not found" });
+    }
+
+    const messages = await Message.find({
+      ...chatFilter,
+      text: { $regex: "https?://", $options: "i" },
+      deletedFor: { $ne: myId },
+      deletedForEveryone: { $ne: true },
+    })
+      .sort({ createdAt: -1 })
+      .limit(MAX_LINK_MESSAGES)
+      .select("senderId text createdAt");
+
+    const links = [];
+    const documents = [];
+    for (const message of messages) {
+      for (const match of message.text.match(URL_PATTERN) || []) {
+        const url = trimUrl(match);
+        const entry = { url, messageId: message._id, senderId: message.senderId, sentAt: message.createdAt };
+        const extension = getDocumentExtension(url);
+        if (extension) documents.push({ ...entry, extension });
+        else links.push(entry);
+      }
+    }
+
+    res.status(200).json({ links, documents });
+  } catch (error) {
+    console.log("Error in getSharedLinks controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Hides every message of a chat for the requester only, like deleting each one "for me"
+export const clearChat = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const myId = req.user._id;
+
+    const chatFilter = await getChatFilter(chatId, myId);
+    if (!chatFilter) {
+      return res.status(404).json({ error: "Chat not found" });
+    }
+
+    await Message.updateMany(
+      { ...chatFilter, deletedFor: { $ne: myId } },
+      { $addToSet: { deletedFor: myId }, $pull: { starredBy: myId } }
+    );
+
+    // The requester's other tabs and devices
+    io.to(getUserRoom(myId)).emit("chatCleared", { chatId });
+
+    res.status(200).json({ chatId });
+  } catch (error) {
+    console.log("Error in clearChat controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// The whole visible history of a chat, oldest first, for the client to save as a file
+export const exportChat = async (req, res) => {
+  try {
+    const myId = req.user._id;
+
+    const chatFilter = await getChatFilter(req.params.chatId, myId);
+    if (!chatFilter) {
+      return res.status(404).json({ error: "Chat not found" });
+    }
+
+    const messages = await Message.find({ ...chatFilter, deletedFor: { $ne: myId } })
+      .sort({ createdAt: 1, _id: 1 })
+      .select("senderId text image audio deletedForEveryone createdAt")
+      .populate("senderId", "fullName")
+      .lean();
+
+    res.status(200).json(
+      messages.map((m) => ({
+        sender: m.senderId?.fullName || "Deleted user",
+        text: m.text,
+        image: m.image,
+        audio: m.audio,
+        deletedForEveryone: m.deletedForEveryone,
+        createdAt: m.createdAt,
+      }))
+    );
+  } catch (error) {
+    console.log("Error in exportChat controller: ", error.message);
     res.status(500).json({ error: "Internal server error" });
   }
 };
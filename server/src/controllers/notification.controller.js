@@ -0,0 +1,165 @@
+import mongoose from "mongoose";
+import ChatSettings, { MUTED_FOREVER, NOTIFICATION_SOUNDS } from "../models/chatSettings.model.js";
+import PushSubscription, { PUSH_PREVIEWS } from "../models/pushSubscription.model.js";
+import Group from "../models/group.model.js";
+import User from "../models/user.model.js";
+
+import { getUserRoom, io } from "../lib/socket.js";
+import { getVapidPublicKey, isAllowedPushEndpoint, isPushConfigured } from "../lib/push.js";
+
+const MUTE_DURATIONS_MS = {
+  "8h": 8 * 60 * 60 * 1000,
+  "1w": 7 * 24 * 60 * 60 * 1000,
+};
+const MUTE_OPTIONS = [...Object.keys(MUTE_DURATIONS_MS), "always", "off"];
+
+const getMutedUntil = (mute) => {
+  if (mute === "off") return null;
+  if (mute === "always") return MUTED_FOREVER;
+  return new Date(Date.now() + MUTE_DURATIONS_MS[mute]);
+};
+
+// A chat is either a group the user belongs to or another user
+const findChat = async (chatId, userId) => {
+  if (!mongoose.isValidObjectId(chatId) || userId.equals(chatId)) return null;
+
+  const group = await Group.findById(chatId);
+  if (group) return group.getMember(userId) ? { isGroup: true } : null;
+  return (await User.exists({ _id: chatId })) ? { isGroup: false } : null;
+};
+
+export const getChatSettings = async (req, res) => {
+  try {
+    const settings = await ChatSettings.find({ user: req.user._id });
+    res.status(200).json(settings);
+  } catch (error) {
+    console.log("Error in getChatSettings controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Body fields are all optional: mute ("8h" | "1w" | "always" | "off"), sound, mentionsOnly
+export const updateChatSettings = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { mute, sound, mentionsOnly } = req.body;
+    const myId = req.user._id;
+
+    if (mute !== undefined && !MUTE_OPTIONS.includes(mute)) {
+      return res.status(400).json({ error: "Invalid mute duration" });
+    }
+    if (sound !== undefined && !NOTIFICATION_SOUNDS.includes(sound)) {
+      return res.status(400).json({ error: "Invalid notification sound" });
+    }
+    if (mentionsOnly !== undefined && typeof mentionsOnly !== "boolean") {
+      return res.status(400).json({ error: "Invalid mention setting" });
+    }
+
+    const chat = await findChat(chatId, myId);
+    if (!chat) {
+      return res.status(404).json({ error: "Chat not found" });
+    }
+    if (mentionsOnly && !chat.isGroup) {
+      return res.status(400).json({ error: "Mention-only notifications are for groups" });
+    }
+
+    const update = {};
+    if (mute !== undefined) update.mutedUntil = getMutedUntil(mute);
+    if (sound !== undefined) update.sound = sound;
+    if (mentionsOnly !== undefined) update.mentionsOnly = mentionsOnly;
+
+    const settings = await ChatSettings.findOneAndUpdate(
+      { user: myId, chatId },
+      { $set: update },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    // Keeps the user's other devices in step
+    io.to(getUserRoom(myId)).emit("chatSettingsUpdated", settings);
+
+    res.status(200).json(settings);
+  } catch (error) {
+    console.log("Error in updateChatSettings controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const getPushKey = async (req, res) => {
+  if (!isPushConfigured()) {
+    return res.status(503).json({ error: "Push notifications are not configured" });
+  }
+  res.status(200).json({ publicKey: getVapidPublicKey() });
+};
+
+// Saves the browser's PushSubscription for the current user. Subscribing again from the
+// same browser (or after switching accounts on it) updates the existing record.
+export const subscribeToPush = async (req, res) => {
+  try {
+    const { subscription, preview } = req.body;
+    const { endpoint, keys } = subscription || {};
+
+    if (!isAllowedPushEndpoint(endpoint) || typeof keys?.p256dh !== "string" || typeof keys?.auth !== "string") {
+      return res.status(400).json({ error: "Invalid push subscription" });
+    }
+    if (preview !== undefined && !PUSH_PREVIEWS.includes(preview)) {
+      return res.status(400).json({ error: "Invalid preview setting" });
+    }
+
+    const saved = await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user: req.user._id,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        ...(preview && { preview }),
+        userAgent: req.get("user-agent")?.slice(0, 200) || "",
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json(saved);
+  } catch (error) {
+    console.log("Error in subscribeToPush controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const updatePushSubscription = async (req, res) => {
+  try {
+    const { endpoint, preview } = req.body;
+    if (typeof endpoint !== "string") {
+      return res.status(400).json({ error: "Invalid push subscription" });
+    }
+    if (!PUSH_PREVIEWS.includes(preview)) {
+      return res.status(400).json({ error: "Invalid preview setting" });
+    }
+
+    const saved = await PushSubscription.findOneAndUpdate(
+      { endpoint, user: req.user._id },
+      { preview },
+      { new: true }
+    );
+    if (!saved) {
+      return res.status(404).json({ error: "Push subscription not found" });
+    }
+
+    res.status(200).json(saved);
+  } catch (error) {
+    console.log("Error in updatePushSubscription controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export const unsubscribeFromPush = async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    if (typeof endpoint !== "string") {
+      return res.status(400).json({ error: "Invalid push subscription" });
+    }
+
+    await PushSubscription.deleteOne({ endpoint, user: req.user._id });
+    res.status(200).json({ message: "Push notifications turned off" });
+  } catch (error) {
+    console.log("Error in unsubscribeFromPush controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+import Report from "../models/report.model.js";
+import Message from "../models/message.model.js";
+import Group from "../models/group.model.js";
+import User from "../models/user.model.js";
+
+const MAX_REPORTED_MESSAGES = 20;
+// Sent along when the reporter doesn't pick messages themselves
+const DEFAULT_EVIDENCE_COUNT = 5;
+
+const toEvidence = (message) => ({
+  messageId: message._id,
+  groupId: message.groupId,
+  text: message.text,
+  image: message.image,
+  audio: message.audio,
+  sentAt: message.createdAt,
+});
+
+// Picked messages count only if the reported user sent them to the reporter, directly
+// or in a group the reporter belongs to; without a pick, their latest direct messages
+const findEvidence = async (reporterId, reportedId, messageIds) => {
+  if (!messageIds) {
+    return Message.find({ senderId: reportedId, receiverId: reporterId })
+      .sort({ createdAt: -1 })
+      .limit(DEFAULT_EVIDENCE_COUNT);
+  }
+
+  const groupIds = await Group.find({ "members.user": reporterId }).distinct("_id");
+  return Message.find({
+    _id: { $in: messageIds.filter((id) => mongoose.isValidObjectId(id)) },
+    senderId: reportedId,
+    $or: [{ receiverId: reporterId }, { groupId: { $in: groupIds } }],
+  }).sort({ createdAt: 1 });
+};
+
+export const createReport = async (req, res) => {
+  try {
+    const { userId, messageIds, reason } = req.body;
+    const reporterId = req.user._id;
+
+    if (!mongoose.isValidObjectId(userId) || reporterId.equals(userId)) {
+      return res.status(400).json({ error: "Invalid user" });
+    }
+    if (messageIds !== undefined && (!Array.isArray(messageIds) || messageIds.length === 0)) {
+      return res.status(400).json({ error: "Pick at least one message to report" });
+    }
+    if (messageIds?.length > MAX_REPORTED_MESSAGES) {
+      return res.status(400).json({ error: `You can report up to ${MAX_REPORTED_MESSAGES} messages` });
+    }
+    if (reason !== undefined && typeof reason !== "string") {
+      return res.status(400).json({ error: "Invalid reason" });
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const evidence = await findEvidence(reporterId, userId, messageIds);
+    if (messageIds && evidence.length === 0) {
+      return res.status(400).json({ error: "None of these messages can be reported" });
+    }
+
+    const report = await Report.create({
+      reporter: reporterId,
+      reportedUser: userId,
+      reason,
+      messages: evidence.map(toEvidence),
+    });
+
+    res.status(201).json({ message: "Report sent", reportId: report._id });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ error: "Reason is too long" });
+    }
+    console.log("Error in createReport controller: ", error.message);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
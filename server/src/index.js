@@ -6,7 +6,12 @@ import path from "path";
 import { connectDB } from "./lib/db.js";
 import authRoutes from "./routes/auth.route.js";
 import messageRoutes from "./routes/message.route.js";
-import { app, server } from "./lib/socket.js";
+import groupRoutes from "./routes/group.route.js";
+import contactRoutes from "./routes/contact.route.js";
+import reportRoutes from "./routes/report.route.js";
+import notificationRoutes from "./routes/notification.route.js";
+import { app, io, server } from "./lib/socket.js";
+import { connectSocketAdapter } from "./lib/adapter.js";
 
 dotenv.config();
 
@@ -25,6 +30,10 @@ app.use(
 
 app.use("/api/auth", authRoutes);
 app.use("/api/messages", messageRoutes);
+app.use("/api/groups", groupRoutes);
+app.use("/api/contacts", contactRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 if (process.env.NODE_ENV === "production") {
   app.use(express.static(path.join(__dirname, "../client/dist")));
@@ -34,6 +43,9 @@ if (process.env.NODE_ENV === "production") {
   });
 }
 
+// Must be in place before the first socket connects
+await connectSocketAdapter(io);
+
 server.listen(PORT, () => {
   console.log("server is running on PORT:" + PORT);
   connectDB();
@@ -0,0 +1,36 @@
+import { createAdapter } from "@socket.io/redis-adapter";
+import { createClient } from "redis";
+
+// How socket.io shares rooms, broadcasts and fetchSockets() between server instances:
+//   memory - the default; everything stays inside this process
+//   redis  - relays through any Redis-compatible server at REDIS_URL, so several
+//            instances can run side by side
+const ADAPTERS = {
+  memory: async () => null,
+
+  redis: async () => {
+    if (!process.env.REDIS_URL) {
+      throw new Error("REDIS_URL is required when SOCKET_ADAPTER=redis");
+    }
+
+    const pubClient = createClient({ url: process.env.REDIS_URL });
+    const subClient = pubClient.duplicate();
+    pubClient.on("error", (error) => console.log("Redis pub client error:", error.message));
+    subClient.on("error", (error) => console.log("Redis sub client error:", error.message));
+
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    return createAdapter(pubClient, subClient);
+  },
+};
+
+export const connectSocketAdapter = async (io) => {
+  const name = process.env.SOCKET_ADAPTER || "memory";
+  const createSocketAdapter = ADAPTERS[name];
+  if (!createSocketAdapter) {
+    throw new Error(`Unknown SOCKET_ADAPTER "${name}"`);
+  }
+
+  const adapter = await createSocketAdapter();
+  if (adapter) io.adapter(adapter);
+  console.log(`Socket adapter: ${name}`);
+};
@@ -10,4 +10,17 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// Derives the public id from a delivery URL such as
+// https://res.cloudinary.com/<cloud>/video/upload/v123/voice_messages/abc.webm
+export const getPublicIdFromUrl = (url) => {
+  const match = url?.match(/\/upload\/(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i);
+  return match ? match[1] : null;
+};
+
+export const deleteAssetByUrl = async (url, resourceType = "image") => {
+  const publicId = getPublicIdFromUrl(url);
+  if (!publicId) return;
+  await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+};
+
 export default cloudinary;
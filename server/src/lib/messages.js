@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+import Message from "../models/message.model.js";
+import Group from "../models/group.model.js";
+import Contact from "../models/contact.model.js";
+import User from "../models/user.model.js";
+import cloudinary from "./cloudinary.js";
+
+// Fields of the parent message needed to render a quoted reply
+export const REPLY_PREVIEW_FIELDS = "senderId text image audio audioDuration deletedForEveryone";
+
+const uploadMedia = async ({ image, audio }) => {
+  let imageUrl;
+  if (image) {
+    // Upload base64 image to cloudinary
+    const uploadResponse = await cloudinary.uploader.upload(image);
+    imageUrl = uploadResponse.secure_url;
+  }
+
+  let audioUrl;
+  if (audio) {
+    // Upload base64 audio to cloudinary
+    const uploadResponse = await cloudinary.uploader.upload(audio, {
+      resource_type: "video", // Cloudinary stores audio as video
+      folder: "voice_messages",
+    });
+    audioUrl = uploadResponse.secure_url;
+  }
+
+  return { imageUrl, audioUrl };
+};
+
+// A reply must point at a message from the same conversation
+const isValidReplyTarget = async (replyTo, { senderId, receiverId, groupId }) => {
+  if (!mongoose.isValidObjectId(replyTo)) return false;
+
+  const parent = await Message.findById(replyTo).select("senderId receiverId groupId");
+  if (!parent) return false;
+
+  if (groupId) return parent.groupId?.toString() === groupId.toString();
+
+  const participants = [senderId.toString(), receiverId.toString()];
+  return (
+    !parent.groupId &&
+    participants.includes(parent.senderId.toString()) &&
+    participants.includes(parent.receiverId.toString())
+  );
+};
+
+// One-to-one messages are limited to contacts and people already in a conversation
+// with the sender
+export const canMessageUser = async (senderId, receiverId) =>
+  (await Contact.areContacts(senderId, receiverId)) ||
+  !!(await Message.exists({
+    $or: [
+      { senderId, receiverId },
+      { senderId: receiverId, receiverId: senderId },
+    ],
+  }));
+
+// Either user blocking the other stops messages both ways
+export const isBlockedBetween = async (userA, userB) =>
+  !!(await User.exists({
+    $or: [
+      { _id: userA, blockedUsers: userB },
+      { _id: userB, blockedUsers: userA },
+    ],
+  }));
+
+const MAX_CLIENT_ID_LENGTH = 64;
+
+const isValidClientId = (clientId) =>
+  clientId === undefined ||
+  (typeof clientId === "string" && clientId.length > 0 && clientId.length <= MAX_CLIENT_ID_LENGTH);
+
+// A retry of a send that was already stored (only the response got lost) gets the
+// stored message back instead of creating a second one
+const findSentMessage = async (senderId, clientId) => {
+  if (!clientId) return null;
+  const message = await Message.findOne({ senderId, clientId });
+  return message && message.populate("replyTo", REPLY_PREVIEW_FIELDS);
+};
+
+// Two retries racing past findSentMessage: the unique index lets only one through
+const isDuplicateSend = (error) => error.code === 11000 && error.keyPattern?.clientId;
+
+// Checks and stores a new message to `{ receiverId }` or `{ groupId }`, for the REST
+// send routes and the socket's sendMessage event alike. Resolves to { status, error }
+// when the send is rejected, otherwise to { message, group, isNew } where isNew is
+// false for a retry of an already stored message (which was delivered back then).
+export const storeMessage = async (senderId, { receiverId, groupId }, body) => {
+  const { text, image, audio, audioDuration, replyTo, clientId } = body;
+
+  if (!isValidClientId(clientId)) {
+    return { status: 400, error: "Invalid client id" };
+  }
+
+  let group;
+  if (groupId) {
+    group = mongoose.isValidObjectId(groupId) ? await Group.findById(groupId) : null;
+    if (!group || !group.getMember(senderId)) {
+      return { status: 404, error: "Group not found" };
+    }
+  } else if (!mongoose.isValidObjectId(receiverId)) {
+    return { status: 400, error: "Invalid receiver" };
+  } else if (await isBlockedBetween(senderId, receiverId)) {
+    return { status: 403, error: "You can't message this user" };
+  } else if (!(await canMessageUser(senderId, receiverId))) {
+    return { status: 403, error: "You can only message your contacts" };
+  }
+
+  const alreadySent = await findSentMessage(senderId, clientId);
+  if (alreadySent) return { message: alreadySent, group, isNew: false };
+
+  if (replyTo && !(await isValidReplyTarget(replyTo, { senderId, receiverId, groupId }))) {
+    return { status: 400, error: "Replied message is not part of this conversation" };
+  }
+
+  const { imageUrl, audioUrl } = await uploadMedia({ image, audio });
+
+  const message = new Message({
+    senderId,
+    ...(groupId ? { groupId } : { receiverId }),
+    text,
+    image: imageUrl,
+    audio: audioUrl,
+    audioDuration,
+    replyTo,
+    clientId,
+  });
+
+  try {
+    await message.save();
+  } catch (error) {
+    if (!isDuplicateSend(error)) throw error;
+    return { message: await findSentMessage(senderId, clientId), group, isNew: false };
+  }
+  await message.populate("replyTo", REPLY_PREVIEW_FIELDS);
+
+  return { message, group, isNew: true };
+};
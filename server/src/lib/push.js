@@ -0,0 +1,146 @@
+import webpush from "web-push";
+import { config } from "dotenv";
+import PushSubscription from "../models/pushSubscription.model.js";
+import ChatSettings from "../models/chatSettings.model.js";
+import User from "../models/user.model.js";
+
+config();
+
+// Generate a key pair with `npx web-push generate-vapid-keys`
+const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY } = process.env;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || "mailto:admin@algochat.app";
+
+export const isPushConfigured = () => !!(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+
+if (isPushConfigured()) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+export const getVapidPublicKey = () => VAPID_PUBLIC_KEY;
+
+// The server POSTs to subscription endpoints, so they must belong to a browser's push
+// service; anything else would let users make it call arbitrary (internal) hosts
+const PUSH_SERVICE_HOSTS = [
+  "fcm.googleapis.com", // Chrome and other Chromium browsers
+  "android.googleapis.com", // Older Chrome subscriptions
+  ".push.services.mozilla.com", // Firefox
+  "web.push.apple.com", // Safari
+  ".notify.windows.com", // Edge on Windows
+];
+
+// Outside production the local push service stand-in (scripts/push-stand-in.js) is allowed too
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+export const isAllowedPushEndpoint = (endpoint) => {
+  if (typeof endpoint !== "string") return false;
+  try {
+    const { protocol, hostname } = new URL(endpoint);
+    if (LOCAL_HOSTS.includes(hostname)) {
+      return process.env.NODE_ENV !== "production" && (protocol === "http:" || protocol === "https:");
+    }
+    return (
+      protocol === "https:" &&
+      PUSH_SERVICE_HOSTS.some((host) => (host.startsWith(".") ? hostname.endsWith(host) : hostname === host))
+    );
+  } catch {
+    return false;
+  }
+};
+
+// How long push services keep trying to reach a device that is switched off
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Same rule as the client: an @mention of the full or first name, or a reply to them
+const mentionsUser = (message, user) => {
+  const repliedTo = message.replyTo?.senderId;
+  if (repliedTo && repliedTo.toString() === user._id.toString()) return true;
+
+  const text = message.text?.toLowerCase() || "";
+  const fullName = user.fullName.toLowerCase();
+  return text.includes(`@${fullName}`) || text.includes(`@${fullName.split(" ")[0]}`);
+};
+
+const getPreviewText = (message) => {
+  if (message.text) return message.text;
+  if (message.image) return "📷 Photo";
+  if (message.audio) return "🎤 Voice message";
+  return "New message";
+};
+
+// The notification for one device, showing only as much as its preview setting allows
+const buildPayload = (message, sender, group, preview) => {
+  const chatId = (message.groupId || message.senderId).toString();
+  const payload = { title: "AlgoChat", body: "New message", tag: chatId, data: { chatId } };
+  if (preview === "none") return JSON.stringify(payload);
+
+  payload.title = group ? group.name : sender.fullName;
+  payload.icon = sender.profilePic || undefined;
+  if (preview === "message") {
+    const text = getPreviewText(message);
+    payload.body = group ? `${sender.fullName.split(" ")[0]}: ${text}` : text;
+  }
+  return JSON.stringify(payload);
+};
+
+// web-push encrypts and signs the request; sending it with fetch rather than
+// webpush.sendNotification (https only) also reaches the local push service stand-in
+const sendToDevice = async (subscription, payload) => {
+  try {
+    // Saved before endpoints were checked, or the rules changed since
+    if (!isAllowedPushEndpoint(subscription.endpoint)) {
+      await subscription.deleteOne();
+      return;
+    }
+
+    const { endpoint, method, headers, body } = webpush.generateRequestDetails(
+      subscription.toWebPush(),
+      payload,
+      { TTL: PUSH_TTL_SECONDS }
+    );
+    // Not following redirects keeps the request on the checked host
+    const response = await fetch(endpoint, { method, headers, body, redirect: "manual" });
+
+    // The browser dropped the subscription, so stop sending to it
+    if (response.status === 404 || response.status === 410) {
+      await subscription.deleteOne();
+    } else if (!response.ok) {
+      console.log("Push service rejected notification:", response.status, await response.text());
+    }
+  } catch (error) {
+    console.log("Error sending push notification:", error.message);
+  }
+};
+
+// Sends a new message to the devices of recipients with no live socket, skipping chats
+// they muted (or, in groups set to mentions only, messages that don't mention them).
+// `group` is given for group messages.
+export const pushMessage = async (message, recipientIds, group) => {
+  if (!isPushConfigured() || recipientIds.length === 0) return;
+
+  const chatId = message.groupId || message.senderId;
+  const [sender, subscriptions, settings, recipients] = await Promise.all([
+    User.findById(message.senderId).select("fullName profilePic"),
+    PushSubscription.find({ user: { $in: recipientIds } }),
+    ChatSettings.find({ user: { $in: recipientIds }, chatId }),
+    User.find({ _id: { $in: recipientIds } }).select("fullName"),
+  ]);
+  if (!sender || subscriptions.length === 0) return;
+
+  const settingsByUser = new Map(settings.map((s) => [s.user.toString(), s]));
+  const recipientsById = new Map(recipients.map((r) => [r._id.toString(), r]));
+  const wantsPush = (userId) => {
+    const chatSettings = settingsByUser.get(userId);
+    if (chatSettings?.isMuted()) return false;
+    if (group && chatSettings?.mentionsOnly) {
+      const recipient = recipientsById.get(userId);
+      return !!recipient && mentionsUser(message, recipient);
+    }
+    return true;
+  };
+
+  await Promise.all(
+    subscriptions
+      .filter((subscription) => wantsPush(subscription.user.toString()))
+      .map((subscription) => sendToDevice(subscription, buildPayload(message, sender, group, subscription.preview)))
+  );
+};
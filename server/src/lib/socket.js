@@ -1,7 +1,14 @@
 import http from "http";
 import express from "express";
+import mongoose from "mongoose";
 import Message from "../models/message.model.js";
+import User from "../models/user.model.js";
+import Group from "../models/group.model.js";
+import Contact from "../models/contact.model.js";
 import { Server } from "socket.io";
+import { protectSocket } from "../middleware/auth.middleware.js";
+import { canMessageUser, isBlockedBetween, storeMessage } from "./messages.js";
+import { pushMessage } from "./push.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -14,86 +21,516 @@ const io = new Server(server, {
   transports: ['websocket', 'polling'],
 });
 
-export function getReceiverSocketId(userId) {
-  return userSocketMap[userId];
+io.use(protectSocket);
+
+// Every socket joins its user's room, so emitting to it reaches all of the user's devices
+export function getUserRoom(userId) {
+  return `user:${userId}`;
 }
 
-// used to store online users
-const userSocketMap = {}; // {userId: socketId}
+// Asks every server instance through the adapter, so it holds when scaled out
+export async function isUserOnline(userId) {
+  const sockets = await io.in(getUserRoom(userId)).fetchSockets();
+  return sockets.length > 0;
+}
 
-io.on("connection", (socket) => {
-  console.log("A user connected", socket.id);
+// Ids of the users with at least one socket in a room, across every instance
+export async function getUserIdsInRoom(room) {
+  const sockets = await io.in(room).fetchSockets();
+  return new Set(sockets.map((s) => s.data.userId));
+}
+
+export function getGroupRoom(groupId) {
+  return `group:${groupId}`;
+}
+
+// Subscribe the online sockets of the given users to a group's room
+export function joinGroupRoom(userIds, groupId) {
+  for (const userId of userIds) {
+    io.in(getUserRoom(userId)).socketsJoin(getGroupRoom(groupId));
+  }
+}
+
+export function leaveGroupRoom(userIds, groupId) {
+  for (const userId of userIds) {
+    io.in(getUserRoom(userId)).socketsLeave(getGroupRoom(groupId));
+  }
+}
+
+// Presence is kept on the sockets themselves (socket.data.userId / .presence) rather
+// than in a process-local map; fetchSockets() collects them from every instance
+const PRESENCE_STATES = ["online", "away"];
+
+// A user is away only when every one of their devices is idle
+const summarizePresence = (states) => {
+  if (states.length === 0) return "offline";
+  return states.includes("online") ? "online" : "away";
+};
 
-  const userId = socket.handshake.query.userId;
-  if (userId) {
-    userSocketMap[userId] = socket.id;
-    console.log("User mapped:", userId, "->", socket.id);
+// Presence states of a user's connected sockets, optionally leaving one out
+const getSocketStates = async (userId, exceptSocketId) => {
+  const sockets = await io.in(getUserRoom(userId)).fetchSockets();
+  return sockets.filter((s) => s.id !== exceptSocketId).map((s) => s.data.presence);
+};
+
+// {userId: "online" | "away"} for everyone connected to any instance
+const getPresenceSnapshot = async () => {
+  const statesByUser = {};
+  for (const s of await io.fetchSockets()) {
+    if (!s.data.userId) continue;
+    statesByUser[s.data.userId] = [...(statesByUser[s.data.userId] || []), s.data.presence];
+  }
+  return Object.fromEntries(
+    Object.entries(statesByUser).map(([userId, states]) => [userId, summarizePresence(states)])
+  );
+};
+
+// Presence is only shared between contacts and people with a direct conversation.
+// Returns {userId: Set of related user ids}, looking only at pairs within `userIds`.
+const getRelatedUsers = async (userIds) => {
+  const ids = userIds.map((id) => new mongoose.Types.ObjectId(id));
+  const [contacts, conversations] = await Promise.all([
+    Contact.find({ status: "accepted", requester: { $in: ids }, recipient: { $in: ids } }).select(
+      "requester recipient"
+    ),
+    Message.aggregate([
+      { $match: { senderId: { $in: ids }, receiverId: { $in: ids } } },
+      { $group: { _id: { senderId: "$senderId", receiverId: "$receiverId" } } },
+    ]),
+  ]);
+
+  const related = {};
+  const link = (a, b) => {
+    (related[a.toString()] ||= new Set()).add(b.toString());
+    (related[b.toString()] ||= new Set()).add(a.toString());
+  };
+  for (const contact of contacts) link(contact.requester, contact.recipient);
+  for (const { _id } of conversations) link(_id.senderId, _id.receiverId);
+  return related;
+};
+
+// Users who blocked someone are hidden from that person's presence. Returns
+// {viewerId: Set of online user ids hidden from them}, listing only affected viewers.
+const getHiddenPresence = async (onlineIds) => {
+  const blockers = await User.find({ _id: { $in: onlineIds }, "blockedUsers.0": { $exists: true } }).select(
+    "blockedUsers"
+  );
+  const hiddenFrom = {};
+  for (const blocker of blockers) {
+    for (const blockedId of blocker.blockedUsers) {
+      (hiddenFrom[blockedId] ||= new Set()).add(blocker._id.toString());
+    }
+  }
+  return hiddenFrom;
+};
+
+// Sends every online user the online list and presence of the people related to them
+export const broadcastOnlineUsers = async () => {
+  const presence = await getPresenceSnapshot();
+  const onlineIds = Object.keys(presence);
+  const [related, hiddenFrom] = await Promise.all([getRelatedUsers(onlineIds), getHiddenPresence(onlineIds)]);
+
+  for (const viewerId of onlineIds) {
+    const visible = Object.fromEntries(
+      Object.entries(presence).filter(
+        ([userId]) => related[viewerId]?.has(userId) && !hiddenFrom[viewerId]?.has(userId)
+      )
+    );
+    io.to(getUserRoom(viewerId)).emit("getOnlineUsers", Object.keys(visible));
+    io.to(getUserRoom(viewerId)).emit("getPresence", visible);
+  }
+  return { presence };
+};
+
+// Goes to the user's online contacts and conversation partners, except the people
+// the user blocked
+const broadcastPresence = async (userId, state, lastSeen) => {
+  const onlineIds = Object.keys(await getPresenceSnapshot());
+  const related = await getRelatedUsers([...new Set([userId.toString(), ...onlineIds])]);
+  const user = await User.findById(userId).select("blockedUsers");
+  const blockedIds = new Set((user?.blockedUsers || []).map((id) => id.toString()));
+
+  const rooms = [...(related[userId.toString()] || [])].filter((id) => !blockedIds.has(id)).map(getUserRoom);
+  if (rooms.length === 0) return;
+  io.to(rooms).emit("presenceUpdate", { userId, state, lastSeen });
+};
+
+// Persists last-seen and tells the user's contacts they went offline, hiding the
+// timestamp from them if the user's privacy setting says so
+const markUserOffline = async (userId) => {
+  let lastSeen = null;
+  try {
+    const user = await User.findByIdAndUpdate(userId, { lastSeen: new Date() }, { new: true });
+    if (user && user.privacy?.lastSeen !== "nobody") lastSeen = user.lastSeen;
+  } catch (error) {
+    console.log("Error saving last seen:", error.message);
+  }
+  await broadcastPresence(userId, "offline", lastSeen);
+};
+
+// A block takes the blocker offline for the blocked user right away; unblocking
+// shows their real state again, if the two are related at all
+export const updatePresenceAfterBlock = async (blockerId, blockedId, isBlocked) => {
+  const userId = blockerId.toString();
+  if (isBlocked) {
+    io.to(getUserRoom(blockedId)).emit("presenceUpdate", { userId, state: "offline", lastSeen: null });
+  } else if (await canMessageUser(blockerId, blockedId)) {
+    const state = summarizePresence(await getSocketStates(blockerId));
+    const blocker = await User.findById(blockerId).select("lastSeen privacy");
+    const lastSeen = blocker?.privacy?.lastSeen !== "nobody" ? blocker?.lastSeen || null : null;
+    io.to(getUserRoom(blockedId)).emit("presenceUpdate", { userId, state, lastSeen });
+  }
+  await broadcastOnlineUsers();
+};
+
+// Typing/recording indicators clear themselves if the client stops refreshing them
+const TYPING_INDICATOR_TIMEOUT_MS = 6000;
+
+// A direct chat is keyed by the peer's id, a group chat by its room
+const getIndicatorKey = ({ receiverId, groupId }) =>
+  groupId ? getGroupRoom(groupId) : receiverId;
+
+// Group messages keep per-member receipts; the sender is only notified when
+// the aggregate status changes (every other member delivered/read).
+export const recordGroupReceipt = async (message, userId, kind, group) => {
+  group = group || (await Group.findById(message.groupId));
+  if (!group?.getMember(userId)) return;
+
+  const statusBefore = message.status;
+  const changed = message.addGroupReceipt(
+    userId,
+    kind,
+    group.members.map((m) => m.user)
+  );
+  if (!changed) return;
+
+  await message.save();
+
+  if (message.status !== statusBefore) {
+    io.to(getUserRoom(message.senderId)).emit("messageStatusUpdate", {
+      messageId: message._id,
+      status: message.status,
+    });
+  }
+};
+
+// Marks a stored one-to-one message delivered when the receiver is online and pushes it
+// to the receiver and to the sender's other devices. An offline receiver gets a Web
+// Push notification.
+export const deliverMessage = async (message) => {
+  const receiverId = message.receiverId.toString();
+  const receiverOnline = await isUserOnline(receiverId);
+  console.log("Sending message to:", receiverId, "online:", receiverOnline);
+
+  if (receiverOnline) {
+    // If receiver is online, mark as delivered
+    message.status = "delivered";
+    message.deliveredAt = new Date();
+    await message.save();
   } else {
-    console.log("No userId provided in socket connection");
+    console.log("Receiver not online, message saved for later");
+    pushMessage(message, [receiverId]).catch((error) =>
+      console.log("Error in pushMessage:", error.message)
+    );
+  }
+
+  io.to(getUserRoom(receiverId)).to(getUserRoom(message.senderId)).emit("newMessage", message);
+};
+
+// Adds receipts for the members online right now to a stored group message and
+// fans it out to the group's room (the sender's devices included); offline members
+// get a Web Push notification
+export const deliverGroupMessage = async (message, group) => {
+  const memberIds = group.members.map((m) => m.user);
+  const onlineIds = await getUserIdsInRoom(getGroupRoom(group._id));
+  let changed = false;
+  for (const memberId of memberIds) {
+    if (onlineIds.has(memberId.toString())) {
+      changed = message.addGroupReceipt(memberId, "delivered", memberIds) || changed;
+    }
+  }
+
+  if (changed) await message.save();
+
+  const offlineIds = memberIds
+    .map((id) => id.toString())
+    .filter((id) => id !== message.senderId.toString() && !onlineIds.has(id));
+  pushMessage(message, offlineIds, group).catch((error) =>
+    console.log("Error in pushMessage:", error.message)
+  );
+
+  io.to(getGroupRoom(group._id)).emit("newMessage", message);
+};
+
+// Marks everything `userId` received in one chat read. Senders get the usual receipts
+// and the reader's own devices a chatRead, so their unread counters clear too.
+export const markChatAsRead = async (userId, { senderId, groupId }, group) => {
+  if (groupId) {
+    group = group || (await Group.findById(groupId));
+    if (!group?.getMember(userId)) return;
+
+    const unread = await Message.find({
+      groupId,
+      senderId: { $ne: userId },
+      "readBy.userId": { $ne: userId },
+    });
+    for (const message of unread) {
+      await recordGroupReceipt(message, userId, "read", group);
+    }
+    io.to(getUserRoom(userId)).emit("chatRead", { chatId: groupId });
+    return;
   }
 
-  // io.emit() is used to send events to all the connected clients
-  io.emit("getOnlineUsers", Object.keys(userSocketMap));
+  if (!senderId) return;
+
+  // Update all unread messages from sender to read; the reader is always the caller
+  const now = new Date();
+  await Message.updateMany({ senderId, receiverId: userId, status: { $ne: "read" } }, [
+    { $set: { status: "read", readAt: now, deliveredAt: { $ifNull: ["$deliveredAt", now] } } },
+  ]);
+
+  // Notify sender that all messages were read
+  io.to(getUserRoom(senderId)).emit("allMessagesRead", { receiverId: userId });
+  io.to(getUserRoom(userId)).emit("chatRead", { chatId: senderId });
+};
+
+// Event payloads come straight from clients: anything but a plain object is dropped
+// before it is destructured, since a throw in an async listener would end the process
+const isPayload = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+io.on("connection", (socket) => {
+  console.log("A user connected", socket.id);
+
+  // Set by protectSocket from the verified JWT, never taken from the client
+  const userId = socket.user._id.toString();
+
+  socket.data.userId = userId;
+  socket.data.presence = "online";
+  socket.join(getUserRoom(userId));
+  console.log("User mapped:", userId, "->", socket.id);
+
+  const announceConnection = async () => {
+    const otherStates = await getSocketStates(userId, socket.id);
+    if (summarizePresence(otherStates) !== "online") await broadcastPresence(userId, "online");
+    await broadcastOnlineUsers();
+  };
+  announceConnection().catch((error) => console.log("Error announcing connection:", error.message));
+
+  Group.find({ "members.user": userId })
+    .select("_id")
+    .then((groups) => groups.forEach((g) => socket.join(getGroupRoom(g._id))))
+    .catch((error) => console.log("Error joining group rooms:", error.message));
+
+  // Clients report "away" after being idle and "online" when they are back
+  socket.on("setPresence", async (payload) => {
+    if (!isPayload(payload)) return;
+    const { state } = payload;
+    const previousState = socket.data.presence;
+    if (!PRESENCE_STATES.includes(state) || state === previousState) return;
+    socket.data.presence = state;
+
+    try {
+      const otherStates = await getSocketStates(userId, socket.id);
+      const presence = summarizePresence([...otherStates, state]);
+      if (presence !== summarizePresence([...otherStates, previousState])) {
+        await broadcastPresence(userId, presence);
+      }
+    } catch (error) {
+      console.log("Error in setPresence:", error.message);
+    }
+  });
+
+  // Same checks and storage as the REST send routes; the ack gets { message } or
+  // { status, error } with the status the REST route would have answered
+  socket.on("sendMessage", async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    if (!isPayload(payload)) return reply({ status: 400, error: "Invalid message" });
+
+    try {
+      const { receiverId, groupId, ...body } = payload;
+      const { message, group, isNew, status, error } = await storeMessage(
+        userId,
+        { receiverId, groupId },
+        body
+      );
+      if (error) return reply({ status, error });
+
+      if (isNew) {
+        if (group) await deliverGroupMessage(message, group);
+        else await deliverMessage(message);
+      }
+
+      reply({ message });
+    } catch (error) {
+      console.log("Error in sendMessage:", error.message);
+      reply({ status: 500, error: "Internal server error" });
+    }
+  });
 
   // Handle message delivered confirmation
-  socket.on("messageDelivered", async ({ messageId, senderId }) => {
-    console.log("Message delivered event received:", messageId, "from sender:", senderId);
+  socket.on("messageDelivered", async (payload) => {
+    if (!isPayload(payload)) return;
     try {
-      // Update message status to delivered
-      await Message.findByIdAndUpdate(messageId, { status: "delivered" });
+      const { messageId } = payload;
+      console.log("Message delivered event received:", messageId, "by:", userId);
+      const message = await Message.findById(messageId);
+      if (!message) return;
 
-      // Notify sender that message was delivered
-      const senderSocketId = userSocketMap[senderId];
-      if (senderSocketId) {
-        io.to(senderSocketId).emit("messageStatusUpdate", { messageId, status: "delivered" });
+      if (message.groupId) {
+        await recordGroupReceipt(message, userId, "delivered");
+        return;
       }
+
+      // Only the receiver can confirm delivery
+      if (message.receiverId.toString() !== userId) return;
+
+      // Update message status to delivered (never downgrades a read message)
+      const result = await Message.updateOne(
+        { _id: messageId, status: "sent" },
+        { status: "delivered", deliveredAt: new Date() }
+      );
+      // Already delivered or read: the sender's tick must not go back
+      if (result.modifiedCount === 0) return;
+
+      // Notify sender that message was delivered
+      io.to(getUserRoom(message.senderId)).emit("messageStatusUpdate", { messageId, status: "delivered" });
     } catch (error) {
       console.log("Error in messageDelivered:", error.message);
     }
   });
 
   // Handle message read confirmation
-  socket.on("messageRead", async ({ messageId, senderId }) => {
-    console.log("Message read event received:", messageId, "from sender:", senderId);
+  socket.on("messageRead", async (payload) => {
+    if (!isPayload(payload)) return;
     try {
+      const { messageId } = payload;
+      console.log("Message read event received:", messageId, "by:", userId);
+      const message = await Message.findById(messageId);
+      if (!message) return;
+
+      if (message.groupId) {
+        await recordGroupReceipt(message, userId, "read");
+        return;
+      }
+
+      // Only the receiver can mark a message read
+      if (message.receiverId.toString() !== userId) return;
+
       // Update message status to read
-      await Message.findByIdAndUpdate(messageId, { status: "read" });
+      const now = new Date();
+      const result = await Message.updateOne({ _id: messageId, status: { $ne: "read" } }, [
+        { $set: { status: "read", readAt: now, deliveredAt: { $ifNull: ["$deliveredAt", now] } } },
+      ]);
+      if (result.modifiedCount === 0) return;
 
       // Notify sender that message was read
-      const senderSocketId = userSocketMap[senderId];
-      if (senderSocketId) {
-        io.to(senderSocketId).emit("messageStatusUpdate", { messageId, status: "read" });
-      }
+      io.to(getUserRoom(message.senderId)).emit("messageStatusUpdate", { messageId, status: "read" });
     } catch (error) {
       console.log("Error in messageRead:", error.message);
     }
   });
 
-  // Handle marking all messages from a user as read
-  socket.on("markAllMessagesAsRead", async ({ senderId, receiverId }) => {
-    console.log("Mark all messages as read - sender:", senderId, "receiver:", receiverId);
+  // Handle marking all messages from a user (or in a group) as read
+  socket.on("markAllMessagesAsRead", async (payload) => {
+    if (!isPayload(payload)) return;
     try {
-      // Update all unread messages from sender to read
-      await Message.updateMany(
-        { senderId, receiverId, status: { $ne: "read" } },
-        { status: "read" }
-      );
-
-      // Notify sender that all messages were read
-      const senderSocketId = userSocketMap[senderId];
-      if (senderSocketId) {
-        io.to(senderSocketId).emit("allMessagesRead", { receiverId });
-      }
+      const { senderId, groupId } = payload;
+      console.log("Mark all messages as read - sender:", senderId, "reader:", userId, "group:", groupId);
+      await markChatAsRead(userId, { senderId, groupId });
     } catch (error) {
       console.log("Error in markAllMessagesAsRead:", error.message);
     }
   });
 
-  socket.on("disconnect", () => {
+  // Relay typing/recording indicators to the other side of the conversation only
+  const activeIndicators = new Map(); // {chat key: {target, timer}}
+
+  const relayIndicator = (event, { receiverId, groupId }) => {
+    const payload = { userId, groupId };
+    if (groupId) {
+      // Sockets are only in the rooms of groups their user belongs to
+      if (socket.rooms.has(getGroupRoom(groupId))) {
+        socket.to(getGroupRoom(groupId)).except(getUserRoom(userId)).emit(event, payload);
+      }
+      return;
+    }
+
+    io.to(getUserRoom(receiverId)).emit(event, payload);
+  };
+
+  // Same rules as sending a message: group members, or people we may message and
+  // who haven't blocked us (nor we them)
+  const canIndicateTo = async ({ receiverId, groupId }) => {
+    if (groupId) {
+      if (!mongoose.isValidObjectId(groupId)) return false;
+      return !!(await Group.exists({ _id: groupId, "members.user": userId }));
+    }
+
+    if (!mongoose.isValidObjectId(receiverId) || receiverId.toString() === userId) return false;
+    if (await isBlockedBetween(userId, receiverId)) return false;
+    return canMessageUser(userId, receiverId);
+  };
+
+  const stopIndicator = (target) => {
+    const key = getIndicatorKey(target);
+    const active = activeIndicators.get(key);
+    if (!active) return;
+
+    clearTimeout(active.timer);
+    activeIndicators.delete(key);
+    relayIndicator("stopTyping", active.target);
+  };
+
+  const startIndicator = async (event, { receiverId, groupId }) => {
+    const target = { receiverId, groupId };
+    const key = getIndicatorKey(target);
+    if (!key) return;
+
+    // Checked when a burst of typing starts; while it lasts the refreshes (and the
+    // final stop) go to a target that already passed
+    if (!activeIndicators.has(key)) {
+      try {
+        if (!(await canIndicateTo(target))) return;
+      } catch (error) {
+        console.log("Error in typing indicator:", error.message);
+        return;
+      }
+    }
+
+    clearTimeout(activeIndicators.get(key)?.timer);
+    activeIndicators.set(key, {
+      target,
+      timer: setTimeout(() => stopIndicator(target), TYPING_INDICATOR_TIMEOUT_MS),
+    });
+    relayIndicator(event, target);
+  };
+
+  socket.on("typing", (target) => isPayload(target) && startIndicator("typing", target));
+  socket.on("recordingAudio", (target) => isPayload(target) && startIndicator("recordingAudio", target));
+  socket.on("stopTyping", (target) => isPayload(target) && stopIndicator(target));
+
+  socket.on("disconnect", async () => {
     console.log("A user disconnected", socket.id, "userId:", userId);
-    if (userId) delete userSocketMap[userId];
-    console.log("Current online users:", Object.keys(userSocketMap));
-    io.emit("getOnlineUsers", Object.keys(userSocketMap));
+    for (const { target } of [...activeIndicators.values()]) stopIndicator(target);
+
+    try {
+      // The socket has already left its rooms, so this finds the user's other devices;
+      // only the last one leaving takes them offline
+      const remainingStates = await getSocketStates(userId);
+      if (remainingStates.length === 0) {
+        await markUserOffline(userId);
+      } else {
+        const remainingPresence = summarizePresence(remainingStates);
+        if (remainingPresence !== summarizePresence([...remainingStates, socket.data.presence])) {
+          await broadcastPresence(userId, remainingPresence);
+        }
+      }
+
+      const { presence } = await broadcastOnlineUsers();
+      console.log("Current online users:", Object.keys(presence));
+    } catch (error) {
+      console.log("Error in disconnect:", error.message);
+    }
   });
 });
 
@@ -31,3 +31,34 @@ export const protectRoute = async (req, res, next) => {
     res.status(500).json({ message: "Internal server error" });
   }
 };
+
+// socket.io counterpart of protectRoute: the client sends the same JWT in
+// `handshake.auth.token` and the authenticated user ends up on `socket.user`
+export const protectSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+      return next(new Error("Unauthorized - No token provided"));
+    }
+
+    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await User.findById(decoded.userId).select("-password");
+
+    if (!user) {
+      return next(new Error("Unauthorized - User not found"));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return next(new Error("Token expired"));
+    }
+    if (error.name === "JsonWebTokenError") {
+      return next(new Error("Invalid token"));
+    }
+    console.log("Error in protectSocket:", error.message);
+    next(new Error("Internal server error"));
+  }
+};
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+export const NOTIFICATION_SOUNDS = ["default", "chime", "pop", "bell", "none"];
+
+// Stored for "always", so every mute is just a date to compare against
+export const MUTED_FOREVER = new Date("9999-12-31T23:59:59.999Z");
+
+// One user's settings for one chat; chatId is the other user's id for a direct
+// chat and the group's id for a group. Chats without a document use the defaults.
+const chatSettingsSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    mutedUntil: {
+      type: Date,
+      default: null,
+    },
+    sound: {
+      type: String,
+      enum: NOTIFICATION_SOUNDS,
+      default: "default",
+    },
+    // Groups only: notify just for messages that mention the user or reply to them
+    mentionsOnly: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => ({
+        chatId: ret.chatId,
+        mutedUntil: ret.mutedUntil,
+        sound: ret.sound,
+        mentionsOnly: ret.mentionsOnly,
+      }),
+    },
+  }
+);
+
+chatSettingsSchema.index({ user: 1, chatId: 1 }, { unique: true });
+
+chatSettingsSchema.methods.isMuted = function (now = new Date()) {
+  return !!this.mutedUntil && this.mutedUntil > now;
+};
+
+const ChatSettings = mongoose.model("ChatSettings", chatSettingsSchema);
+
+export default ChatSettings;
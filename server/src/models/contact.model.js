@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// One document per pair of users: a pending request from `requester` to `recipient`,
+// or, once accepted, a contact in both directions
+const contactSchema = new mongoose.Schema(
+  {
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted"],
+      default: "pending",
+    },
+  },
+  { timestamps: true }
+);
+
+contactSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+contactSchema.index({ recipient: 1, status: 1 });
+
+// Whichever of the two sent the request
+contactSchema.statics.findBetween = function (userId, otherId) {
+  return this.findOne({
+    $or: [
+      { requester: userId, recipient: otherId },
+      { requester: otherId, recipient: userId },
+    ],
+  });
+};
+
+contactSchema.statics.areContacts = async function (userId, otherId) {
+  const contact = await this.findBetween(userId, otherId);
+  return contact?.status === "accepted";
+};
+
+contactSchema.statics.getContactIds = async function (userId) {
+  const contacts = await this.find({
+    status: "accepted",
+    $or: [{ requester: userId }, { recipient: userId }],
+  });
+  return contacts.map((c) => (c.requester.equals(userId) ? c.recipient : c.requester));
+};
+
+const Contact = mongoose.model("Contact", contactSchema);
+
+export default Contact;
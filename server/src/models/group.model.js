@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["admin", "member"],
+      default: "member",
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const groupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    groupPic: {
+      type: String,
+      default: "",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    members: [memberSchema],
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+);
+
+// Lets clients tell group chats apart from one-to-one chats
+groupSchema.virtual("isGroup").get(() => true);
+
+groupSchema.index({ "members.user": 1 });
+
+groupSchema.methods.getMember = function (userId) {
+  // members.user may be populated, so compare on the id either way
+  return this.members.find((m) => (m.user._id || m.user).toString() === userId.toString());
+};
+
+groupSchema.methods.isAdmin = function (userId) {
+  return this.getMember(userId)?.role === "admin";
+};
+
+const Group = mongoose.model("Group", groupSchema);
+
+export default Group;
@@ -1,5 +1,20 @@
 import mongoose from "mongoose";
 
+const receiptSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
 const messageSchema = new mongoose.Schema(
   {
     senderId: {
@@ -10,7 +25,30 @@ const messageSchema = new mongoose.Schema(
     receiverId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      // Group messages are addressed to the group instead of a single user
+      required: function () {
+        return !this.groupId;
+      },
+    },
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    forwarded: {
+      type: Boolean,
+      default: false,
+    },
+    forwardCount: {
+      type: Number, // How many hops this content has been forwarded
+      default: 0,
+    },
+    // Generated by the sending client so a retried send can't store the message twice
+    clientId: {
+      type: String,
     },
     text: {
       type: String,
@@ -34,10 +72,114 @@ const messageSchema = new mongoose.Schema(
       ],
       default: "sent",
     },
+    // When the one-to-one receiver got / read the message
+    deliveredAt: {
+      type: Date,
+    },
+    readAt: {
+      type: Date,
+    },
+    // Users who starred this message; each viewer only ever sees their own star
+    starredBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    editedAt: {
+      type: Date,
+    },
+    // Previous versions of the text, oldest first
+    editHistory: [
+      {
+        text: String,
+        editedAt: Date,
+        _id: false,
+      },
+    ],
+    // Users who removed this message from their own view ("delete for me")
+    deletedFor: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // "Delete for everyone" keeps the document as a tombstone without content
+    deletedForEveryone: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    // At most one reaction per user; reacting again replaces it
+    reactions: [
+      {
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        emoji: {
+          type: String,
+          required: true,
+        },
+        reactedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
+      },
+    ],
+    // Per-member receipts, only used for group messages
+    deliveredTo: [receiptSchema],
+    readBy: [receiptSchema],
   },
   { timestamps: true }
 );
 
+const STATUS_ORDER = ["sent", "delivered", "read"];
+
+messageSchema.index({ senderId: 1, receiverId: 1, createdAt: -1 });
+messageSchema.index({ groupId: 1, createdAt: -1 });
+messageSchema.index({ starredBy: 1, createdAt: -1 });
+messageSchema.index({ text: "text" });
+messageSchema.index({ updatedAt: 1 }); // Catch-up sync cursor
+messageSchema.index(
+  { senderId: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
+);
+
+// Records a group member's delivered/read receipt and recomputes the aggregate
+// status against the other members. Returns true when the document changed.
+messageSchema.methods.addGroupReceipt = function (userId, kind, memberIds) {
+  const id = userId.toString();
+  if (id === this.senderId.toString()) return false;
+
+  const fields = kind === "read" ? ["deliveredTo", "readBy"] : ["deliveredTo"];
+  let changed = false;
+  for (const field of fields) {
+    if (!this[field].some((r) => r.userId.toString() === id)) {
+      this[field].push({ userId });
+      changed = true;
+    }
+  }
+
+  const recipients = memberIds
+    .map((m) => m.toString())
+    .filter((m) => m !== this.senderId.toString());
+  const hasAll = (field) =>
+    recipients.every((m) => this[field].some((r) => r.userId.toString() === m));
+
+  const status = hasAll("readBy") ? "read" : hasAll("deliveredTo") ? "delivered" : "sent";
+  // Members joining later must not move a message back to an earlier state
+  if (STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(this.status)) {
+    this.status = status;
+    changed = true;
+  }
+  return changed;
+};
+
 const Message = mongoose.model("Message", messageSchema);
 
 export default Message;
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// What a device's notifications may show: "message" (sender and text), "sender"
+// (only who it's from) or "none" (just that something arrived)
+export const PUSH_PREVIEWS = ["message", "sender", "none"];
+
+// One browser/device that accepted push notifications for a user
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    endpoint: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keys: {
+      p256dh: {
+        type: String,
+        required: true,
+      },
+      auth: {
+        type: String,
+        required: true,
+      },
+    },
+    preview: {
+      type: String,
+      enum: PUSH_PREVIEWS,
+      default: "message",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (doc, ret) => ({ endpoint: ret.endpoint, preview: ret.preview }),
+    },
+  }
+);
+
+pushSubscriptionSchema.index({ user: 1 });
+
+// The shape web-push expects
+pushSubscriptionSchema.methods.toWebPush = function () {
+  return { endpoint: this.endpoint, keys: { p256dh: this.keys.p256dh, auth: this.keys.auth } };
+};
+
+const PushSubscription = mongoose.model("PushSubscription", pushSubscriptionSchema);
+
+export default PushSubscription;
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Copies of the reported messages, so the evidence survives them being edited or deleted
+const evidenceSchema = new mongoose.Schema(
+  {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    groupId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Group",
+    },
+    text: String,
+    image: String,
+    audio: String,
+    sentAt: Date,
+  },
+  { _id: false }
+);
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reportedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: "",
+    },
+    messages: [evidenceSchema],
+    // Moderators work through "open" reports and close them as reviewed or dismissed
+    status: {
+      type: String,
+      enum: ["open", "reviewed", "dismissed"],
+      default: "open",
+    },
+  },
+  { timestamps: true }
+);
+
+// The review queue: open reports, oldest first
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ reportedUser: 1, createdAt: -1 });
+
+const Report = mongoose.model("Report", reportSchema);
+
+export default Report;
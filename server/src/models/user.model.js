@@ -21,8 +21,45 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Short status line shown in contact info
+    about: {
+      type: String,
+      trim: true,
+      maxlength: 140,
+      default: "",
+    },
+    // Set when the user's last socket disconnects
+    lastSeen: {
+      type: Date,
+    },
+    privacy: {
+      lastSeen: {
+        type: String,
+        enum: ["everyone", "nobody"],
+        default: "everyone",
+      },
+    },
+    // People who can no longer message this user or see their presence
+    blockedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
   },
-  { timestamps: true }
+  {
+    timestamps: true,
+    toJSON: {
+      // Users are serialized for other people (sidebar, group members), so
+      // last-seen is only included when its owner allows it
+      transform: (doc, ret) => {
+        if (ret.privacy?.lastSeen === "nobody") delete ret.lastSeen;
+        delete ret.privacy;
+        delete ret.blockedUsers;
+        return ret;
+      },
+    },
+  }
 );
 
 const User = mongoose.model("User", userSchema);
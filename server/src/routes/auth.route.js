@@ -4,7 +4,9 @@ import {
   login,
   logout,
   updateFullName,
+  updateAbout,
   updateProfile,
+  updatePrivacy,
   checkAuth,
 } from "../controllers/auth.controller.js";
 import { protectRoute } from "../middleware/auth.middleware.js";
@@ -16,6 +18,8 @@ router.post("/login", login);
 router.post("/logout", protectRoute, logout);
 router.get("/check", protectRoute, checkAuth);
 router.put("/fullname", protectRoute, updateFullName);
+router.put("/about", protectRoute, updateAbout);
 router.put("/update-profile", protectRoute, updateProfile);
+router.put("/privacy", protectRoute, updatePrivacy);
 
 export default router;
@@ -0,0 +1,23 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import {
+  getContacts,
+  addContact,
+  acceptContactRequest,
+  declineContactRequest,
+  removeContact,
+  blockUser,
+  unblockUser,
+} from "../controllers/contact.controller.js";
+
+const router = express.Router();
+
+router.get("/", protectRoute, getContacts);
+router.post("/", protectRoute, addContact);
+router.post("/requests/:id/accept", protectRoute, acceptContactRequest);
+router.post("/requests/:id/decline", protectRoute, declineContactRequest);
+router.post("/:userId/block", protectRoute, blockUser);
+router.delete("/:userId/block", protectRoute, unblockUser);
+router.delete("/:userId", protectRoute, removeContact);
+
+export default router;
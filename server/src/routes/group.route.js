@@ -0,0 +1,23 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import {
+  getGroups,
+  getCommonGroups,
+  createGroup,
+  renameGroup,
+  addGroupMembers,
+  removeGroupMember,
+  updateMemberRole,
+} from "../controllers/group.controller.js";
+
+const router = express.Router();
+
+router.get("/", protectRoute, getGroups);
+router.get("/common/:userId", protectRoute, getCommonGroups);
+router.post("/", protectRoute, createGroup);
+router.put("/:id", protectRoute, renameGroup);
+router.post("/:id/members", protectRoute, addGroupMembers);
+router.delete("/:id/members/:userId", protectRoute, removeGroupMember);
+router.put("/:id/members/:userId/role", protectRoute, updateMemberRole);
+
+export default router;
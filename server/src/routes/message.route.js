@@ -1,13 +1,54 @@
 import express from "express";
 import { protectRoute } from "../middleware/auth.middleware.js";
-import { getMessages, getUsersForSidebar, sendMessage, getMediaMessages } from "../controllers/message.controller.js";
+import {
+  getMessages,
+  getUsersForSidebar,
+  sendMessage,
+  getMediaMessages,
+  getGroupMessages,
+  sendGroupMessage,
+  forwardMessage,
+  starMessage,
+  unstarMessage,
+  getStarredMessages,
+  deleteMessage,
+  getMessageInfo,
+  editMessage,
+  searchMessages,
+  reactToMessage,
+  removeReaction,
+  syncMessages,
+  getConversations,
+  markAllChatsAsRead,
+  getSharedLinks,
+  clearChat,
+  exportChat,
+} from "../controllers/message.controller.js";
 
 const router = express.Router();
 
 router.get("/users", protectRoute, getUsersForSidebar);
+router.get("/conversations", protectRoute, getConversations);
 router.get("/media", protectRoute, getMediaMessages);
+router.get("/starred", protectRoute, getStarredMessages);
+router.get("/search", protectRoute, searchMessages);
+router.get("/sync", protectRoute, syncMessages);
+router.get("/chat/:chatId/links", protectRoute, getSharedLinks);
+router.get("/chat/:chatId/export", protectRoute, exportChat);
+router.get("/group/:id", protectRoute, getGroupMessages);
+router.get("/:id/info", protectRoute, getMessageInfo);
 router.get("/:id", protectRoute, getMessages);
 
 router.post("/send/:id", protectRoute, sendMessage);
+router.post("/group/send/:id", protectRoute, sendGroupMessage);
+router.post("/forward/:id", protectRoute, forwardMessage);
+router.post("/read-all", protectRoute, markAllChatsAsRead);
+router.post("/:id/star", protectRoute, starMessage);
+router.delete("/:id/star", protectRoute, unstarMessage);
+router.post("/:id/reaction", protectRoute, reactToMessage);
+router.delete("/:id/reaction", protectRoute, removeReaction);
+router.delete("/chat/:chatId", protectRoute, clearChat);
+router.put("/:id", protectRoute, editMessage);
+router.delete("/:id", protectRoute, deleteMessage);
 
 export default router;
@@ -0,0 +1,21 @@
+import express from "express";
+import { protectRoute } from "../middleware/auth.middleware.js";
+import {
+  getChatSettings,
+  updateChatSettings,
+  getPushKey,
+  subscribeToPush,
+  updatePushSubscription,
+  unsubscribeFromPush,
+} from "../controllers/notification.controller.js";
+
+const router = express.Router();
+
+router.get("/settings", protectRoute, getChatSettings);
+router.put("/settings/:chatId", protectRoute, updateChatSettings);
+router.get("/push/key", protectRoute, getPushKey);
+router.post("/push/subscriptions", protectRoute, subscribeToPush);
+router.put("/push/subscriptions", protectRoute, updatePushSubscription);
+router.delete("/push/subscriptions", protectRoute, unsubscribeFromPush);
+
+export default router;